@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent migration checkpoint
+ * Records finished phases, finished tables and the last committed key per
+ * table in logs/checkpoint_<logId>.json so an interrupted run can resume.
+ * Without a log directory (dry runs) the checkpoint is kept in memory only.
+ */
+class MigrationCheckpoint {
+  constructor(logDir, logId, state = null) {
+    this.logId = logId;
+    this.filePath = logDir ? path.join(logDir, `checkpoint_${logId}.json`) : null;
+    this.state = state || {
+      logId,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      phases: [],
+      tables: {}
+    };
+  }
+
+  /**
+   * Load the checkpoint of an earlier run
+   * @throws {Error} When no checkpoint exists for the log ID
+   */
+  static load(logDir, logId) {
+    const checkpoint = new MigrationCheckpoint(logDir, logId);
+
+    if (!fs.existsSync(checkpoint.filePath)) {
+      throw new Error(`No checkpoint found for log ID ${logId} (expected ${checkpoint.filePath})`);
+    }
+
+    // Key values keep their type: dates and buffers are tagged when saved
+    checkpoint.state = JSON.parse(fs.readFileSync(checkpoint.filePath, 'utf8'), (key, value) => {
+      if (value && typeof value === 'object' && value.$date) return new Date(value.$date);
+      if (value && typeof value === 'object' && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return Buffer.from(value.data);
+      }
+      return value;
+    });
+
+    return checkpoint;
+  }
+
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    if (!this.filePath) return;
+
+    const content = JSON.stringify(this.state, function (key, value) {
+      const raw = this[key];
+      return raw instanceof Date ? { $date: raw.toISOString() } : value;
+    }, 2);
+
+    // Write to a temporary file first so a crash never leaves a truncated checkpoint
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, content);
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  isPhaseDone(phase) {
+    return this.state.phases.includes(phase);
+  }
+
+  completePhase(phase) {
+    if (!this.isPhaseDone(phase)) {
+      this.state.phases.push(phase);
+      this.save();
+    }
+  }
+
+  /**
+   * Get the recorded progress of a table
+   * @returns {{status: string, rowsMigrated: number, lastKey: Array|null, chunks: Array|null}}
+   */
+  getTable(tableKey) {
+    return this.state.tables[tableKey] || { status: 'pending', rowsMigrated: 0, lastKey: null, chunks: null };
+  }
+
+  isTableDone(tableKey) {
+    return this.getTable(tableKey).status === 'done';
+  }
+
+  /**
+   * Merge progress into the table entry and persist it
+   */
+  updateTable(tableKey, progress) {
+    this.state.tables[tableKey] = {
+      ...this.getTable(tableKey),
+      status: 'in_progress',
+      ...progress
+    };
+    this.save();
+  }
+
+  completeTable(tableKey, rowsMigrated) {
+    this.updateTable(tableKey, { status: 'done', rowsMigrated });
+  }
+
+  getFilePath() {
+    return this.filePath;
+  }
+}
+
+module.exports = MigrationCheckpoint;
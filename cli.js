@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+/**
+ * MSSQL to PostgreSQL Migration - Command Line Interface
+ *
+ * Usage: node cli.js [command] [options]
+ * Connection settings and migration defaults come from .env (see .env.example);
+ * command line options override them for a single run.
+ */
+
+const { run, COMMAND_STEPS } = require('./migrate');
+
+const COMMANDS = {
+  all: 'Create the schema, load the data and add constraints (default)',
+  schema: 'Create schemas, tables with primary keys and unique constraints, views and routines',
+  data: 'Load table data and reset sequences',
+  constraints: 'Create foreign keys, indexes, check constraints and triggers',
+  verify: 'Compare the migrated data with the source',
+  sync: 'Apply changes made in MSSQL since the migration or the last sync'
+};
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  PARTIAL_FAILURE: 1,
+  CONNECTION_FAILURE: 2,
+  FAILURE: 3,
+  USAGE: 4
+};
+
+const USAGE = `
+Usage: node cli.js [command] [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, description]) => `  ${name.padEnd(14)}${description}`).join('\n')}
+
+Options:
+  --include <patterns>  Only process objects matching these glob patterns (comma-separated,
+                        repeatable); patterns match "schema.table", or the table name alone
+                        when they contain no dot, e.g. --include "sales.*,dbo.Order*"
+  --exclude <patterns>  Skip objects matching these glob patterns
+  --batch-size <n>      Rows per batch (overrides BATCH_SIZE)
+  --parallel <n>        Number of tables migrated at the same time (default 1)
+  --resume <logId>      Continue an interrupted run from its checkpoint
+  --dry-run             Connect only to MSSQL and write the DDL to logs/schema_<logId>.sql
+  --emit-sql <file>     Like --dry-run, writing the DDL to the given file
+  --mapping <file>      JSON or YAML file with table and column overrides (overrides MAPPING_FILE)
+  -h, --help            Show this help
+
+Exit codes:
+  0  Completed without errors
+  1  Completed, but some objects failed (see the log)
+  2  Could not connect to MSSQL or PostgreSQL
+  3  Aborted by an unexpected error
+  4  Invalid command line
+`;
+
+// Options that take a value
+const VALUE_OPTIONS = new Set(['--include', '--exclude', '--batch-size', '--parallel', '--resume', '--emit-sql', '--mapping']);
+
+/**
+ * Convert a glob pattern (* and ?) into a case-insensitive regular expression
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Build the object filter for --include/--exclude
+ * @returns {Function|null} (schemaName, objectName) => boolean, or null when no patterns are given
+ */
+function createObjectFilter(include, exclude) {
+  if (include.length === 0 && exclude.length === 0) return null;
+
+  const compile = patterns => patterns.map(pattern => {
+    const regExp = globToRegExp(pattern);
+    // Patterns without a dot match the object name in any schema
+    return pattern.includes('.')
+      ? (schemaName, objectName) => regExp.test(`${schemaName}.${objectName}`)
+      : (schemaName, objectName) => regExp.test(objectName);
+  });
+  const included = compile(include);
+  const excluded = compile(exclude);
+
+  return (schemaName, objectName) =>
+    (included.length === 0 || included.some(match => match(schemaName, objectName))) &&
+    !excluded.some(match => match(schemaName, objectName));
+}
+
+/**
+ * Parse a positive integer option value
+ */
+function parsePositiveInteger(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${name} expects a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parse the command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{command: string, options: Object, help: boolean}}
+ * @throws {Error} On unknown commands, unknown options or invalid values
+ */
+function parseArgs(args) {
+  let command = null;
+  let help = false;
+  const include = [];
+  const exclude = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '-h' || arg === '--help') {
+      help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('-')) {
+      if (command) throw new Error(`Unexpected argument "${arg}"`);
+      if (!COMMANDS[arg]) throw new Error(`Unknown command "${arg}"`);
+      command = arg;
+      continue;
+    }
+
+    // Options are given as "--name value" or "--name=value"
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg : arg.slice(0, separator);
+    let value = separator === -1 ? undefined : arg.slice(separator + 1);
+
+    if (name === '--dry-run') {
+      options.dryRun = true;
+      continue;
+    }
+    if (!VALUE_OPTIONS.has(name)) {
+      throw new Error(`Unknown option "${name}"`);
+    }
+    if (value === undefined) {
+      value = args[++i];
+      if (value === undefined) throw new Error(`${name} expects a value`);
+    }
+
+    switch (name) {
+      case '--include':
+      case '--exclude':
+        (name === '--include' ? include : exclude).push(...value.split(',').map(p => p.trim()).filter(Boolean));
+        break;
+      case '--batch-size':
+        options.batchSize = parsePositiveInteger(name, value);
+        break;
+      case '--parallel':
+        options.parallel = parsePositiveInteger(name, value);
+        break;
+      case '--resume':
+        options.resume = value;
+        break;
+      case '--emit-sql':
+        options.emitSql = value;
+        options.dryRun = true;
+        break;
+      case '--mapping':
+        options.mappingFile = value;
+        break;
+    }
+  }
+
+  command = command || 'all';
+
+  if (options.dryRun && options.resume) {
+    throw new Error('--resume cannot be combined with --dry-run or --emit-sql');
+  }
+  if (options.dryRun && !COMMAND_STEPS[command]) {
+    throw new Error(`--dry-run is not supported by the "${command}" command`);
+  }
+
+  options.objectFilter = createObjectFilter(include, exclude);
+  return { command, options, help };
+}
+
+/**
+ * Run the command line interface and exit with a code describing the outcome
+ */
+async function main(args) {
+  let parsed;
+  try {
+    parsed = parseArgs(args);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (parsed.help) {
+    console.log(USAGE);
+    process.exit(EXIT_CODES.SUCCESS);
+  }
+
+  const task = parsed.command === 'verify' ? 'Verification' : parsed.command === 'sync' ? 'Sync' : 'Migration';
+
+  try {
+    const stats = await run(parsed.command, parsed.options);
+
+    if (stats.errors > 0) {
+      console.error(`\n⚠️  ${task} completed with ${stats.errors} errors. Check the logs directory for detailed logs.`);
+      process.exit(EXIT_CODES.PARTIAL_FAILURE);
+    }
+
+    console.log(`\n✅ ${task} completed. Check the logs directory for detailed logs.`);
+    process.exit(EXIT_CODES.SUCCESS);
+  } catch (error) {
+    console.error(`\n❌ ${task} failed:`, error.message);
+    process.exit(error.isConnectionError ? EXIT_CODES.CONNECTION_FAILURE : EXIT_CODES.FAILURE);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  createObjectFilter,
+  EXIT_CODES
+};
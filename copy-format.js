@@ -0,0 +1,94 @@
+/**
+ * PostgreSQL COPY Text Format Encoder
+ * Turns rows read from MSSQL into lines for COPY ... FROM STDIN (FORMAT text)
+ */
+
+const { toEwkbHex } = require('./spatial');
+const { toLtreePath } = require('./hierarchy');
+const { formatVariantJson } = require('./variant');
+
+// Characters with a special meaning in the COPY text format
+const COPY_ESCAPES = {
+  '\\': '\\\\',
+  '\t': '\\t',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\b': '\\b',
+  '\f': '\\f',
+  '\v': '\\v'
+};
+
+const NULL_MARKER = '\\N';
+
+/**
+ * Escape a string for the COPY text format
+ */
+function escapeCopyText(text) {
+  return text.replace(/[\\\t\n\r\b\f\v]/g, char => COPY_ESCAPES[char]);
+}
+
+/**
+ * Format a single MSSQL value for the COPY text format
+ * @param {*} value - Value from the mssql recordset
+ * @param {Object} column - Column metadata (dataType is the MSSQL type name)
+ * @returns {string} The encoded field
+ */
+function formatCopyValue(value, column) {
+  if (value === null || value === undefined) {
+    return NULL_MARKER;
+  }
+
+  // Spatial values read as SRID + WKB are sent as hex EWKB
+  if (column.spatialFormat === 'ewkb' && Buffer.isBuffer(value)) {
+    return toEwkbHex(value);
+  }
+
+  // hierarchyid paths (/1/3/) become ltree labels (1.3)
+  if (column.hierarchyFormat === 'ltree' && typeof value === 'string') {
+    return toLtreePath(value);
+  }
+
+  // sql_variant values read as "<base type>:<text>" become JSONB objects
+  if (column.variantFormat === 'jsonb' && typeof value === 'string') {
+    return escapeCopyText(formatVariantJson(value));
+  }
+
+  // bytea hex format; the backslash itself must be escaped in COPY text
+  if (Buffer.isBuffer(value)) {
+    return '\\\\x' + value.toString('hex');
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (column.dataType.toLowerCase() === 'bit') {
+    return value === true || value === 1 ? 't' : 'f';
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 't' : 'f';
+  }
+
+  if (typeof value === 'object') {
+    return escapeCopyText(JSON.stringify(value));
+  }
+
+  return escapeCopyText(String(value));
+}
+
+/**
+ * Format a row as one COPY text line (tab-separated, newline-terminated)
+ * @param {Object} row - Row from the mssql recordset
+ * @param {Array<Object>} columns - Columns in COPY column order
+ * @returns {string} The encoded line
+ */
+function formatCopyRow(row, columns) {
+  return columns.map(col => formatCopyValue(row[col.name], col)).join('\t') + '\n';
+}
+
+module.exports = {
+  formatCopyValue,
+  formatCopyRow,
+  escapeCopyText
+};
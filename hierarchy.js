@@ -0,0 +1,84 @@
+/**
+ * MSSQL hierarchyid to ltree
+ * hierarchyid values are read as their canonical path (/1/3/2/) and become ltree
+ * label paths (1.3.2) when the ltree extension is available, text paths otherwise.
+ * ltree labels only allow letters, digits and underscores, so fractional and
+ * negative path components (/1.1/-2/) become 1_1 and n2.
+ */
+
+/**
+ * Convert a hierarchyid path into ltree labels
+ * @param {string} path - Canonical path as returned by ToString(), e.g. /1/3/2/
+ * @returns {string} e.g. 1.3.2 (the root / becomes the empty path)
+ */
+function toLtreePath(path) {
+  return path
+    .split('/')
+    .filter(Boolean)
+    .map(component => component.replace(/-/g, 'n').replace(/\./g, '_'))
+    .join('.');
+}
+
+/**
+ * Convert ltree labels back into a hierarchyid path, reversing toLtreePath
+ */
+function fromLtreePath(labels) {
+  if (labels === '') return '/';
+  return `/${labels.split('.').map(label => label.replace(/n/g, '-').replace(/_/g, '.')).join('/')}/`;
+}
+
+/**
+ * Statements creating equivalents of the hierarchyid methods GetLevel(),
+ * GetAncestor(n) and IsDescendantOf(parent) for migrated columns:
+ *   OrgNode.GetAncestor(1)         -> hierarchyid_get_ancestor("OrgNode", 1)
+ *   OrgNode.IsDescendantOf(@p) = 1 -> hierarchyid_is_descendant_of("OrgNode", p)
+ * @param {boolean} useLtree - Create the ltree variants instead of the text path variants
+ * @param {string} schema - Quoted schema for the functions
+ * @returns {Array<string>}
+ */
+function getHierarchyFunctions(useLtree, schema) {
+  if (useLtree) {
+    return [
+      `CREATE OR REPLACE FUNCTION ${schema}.hierarchyid_get_level(node ltree) RETURNS integer
+LANGUAGE sql IMMUTABLE STRICT
+AS $$ SELECT nlevel(node) $$`,
+      `CREATE OR REPLACE FUNCTION ${schema}.hierarchyid_get_ancestor(node ltree, n integer) RETURNS ltree
+LANGUAGE sql IMMUTABLE STRICT
+AS $$
+  SELECT CASE
+    WHEN n < 0 OR n > nlevel(node) THEN NULL
+    WHEN n = 0 THEN node
+    WHEN n = nlevel(node) THEN ''::ltree
+    ELSE subltree(node, 0, nlevel(node) - n)
+  END
+$$`,
+      `CREATE OR REPLACE FUNCTION ${schema}.hierarchyid_is_descendant_of(node ltree, parent ltree) RETURNS boolean
+LANGUAGE sql IMMUTABLE STRICT
+AS $$ SELECT node <@ parent $$`
+    ];
+  }
+
+  return [
+    `CREATE OR REPLACE FUNCTION ${schema}.hierarchyid_get_level(node text) RETURNS integer
+LANGUAGE sql IMMUTABLE STRICT
+AS $$ SELECT CASE WHEN node = '/' THEN 0 ELSE array_length(string_to_array(btrim(node, '/'), '/'), 1) END $$`,
+    `CREATE OR REPLACE FUNCTION ${schema}.hierarchyid_get_ancestor(node text, n integer) RETURNS text
+LANGUAGE sql IMMUTABLE STRICT
+AS $$
+  SELECT CASE
+    WHEN n < 0 OR n > ${schema}.hierarchyid_get_level(node) THEN NULL
+    WHEN n = ${schema}.hierarchyid_get_level(node) THEN '/'
+    ELSE '/' || array_to_string((string_to_array(btrim(node, '/'), '/'))[1:${schema}.hierarchyid_get_level(node) - n], '/') || '/'
+  END
+$$`,
+    `CREATE OR REPLACE FUNCTION ${schema}.hierarchyid_is_descendant_of(node text, parent text) RETURNS boolean
+LANGUAGE sql IMMUTABLE STRICT
+AS $$ SELECT left(node, length(parent)) = parent $$`
+  ];
+}
+
+module.exports = {
+  toLtreePath,
+  fromLtreePath,
+  getHierarchyFunctions
+};
@@ -3,13 +3,18 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 
 class MigrationLogger {
-  constructor() {
-    this.logId = uuidv4().split('-')[0].toUpperCase();
+  /**
+   * @param {string|null} logId - Log ID of an earlier run to continue (--resume); a new ID otherwise
+   */
+  constructor(logId = null) {
+    this.resumed = !!logId;
+    this.logId = logId ? logId.toUpperCase() : uuidv4().split('-')[0].toUpperCase();
     this.startTime = new Date();
     this.logDir = path.join(__dirname, 'logs');
     this.logFileName = this.generateLogFileName();
     this.logFilePath = path.join(this.logDir, this.logFileName);
     this.buffer = [];
+    this.listeners = [];
     this.flushInterval = null;
     
     this.ensureLogDirectory();
@@ -42,7 +47,7 @@ class MigrationLogger {
 ================================================================================
   Log ID:           ${this.logId}
   Start Time:       ${this.formatDateTime(this.startTime)}
-  Log File:         ${this.logFileName}
+  Log File:         ${this.logFileName}${this.resumed ? '\n  Resumed Run:      yes' : ''}
 ================================================================================
 
 `;
@@ -78,9 +83,18 @@ class MigrationLogger {
     return logLine;
   }
 
+  /**
+   * Register a callback that receives every log entry as (level, category, message);
+   * sections are passed with level SECTION and the title as message
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
   log(level, category, message, details = null) {
     const formattedMessage = this.formatMessage(level, category, message, details);
     this.buffer.push(formattedMessage);
+    this.listeners.forEach(listener => listener(level, category, message));
     
     // Console output with colors
     const colors = {
@@ -124,6 +138,7 @@ ${separator}
   ${title.toUpperCase()}
 ${separator}`;
     this.buffer.push(sectionHeader);
+    this.listeners.forEach(listener => listener('SECTION', null, title));
     console.log(`\x1b[35m${sectionHeader}\x1b[0m`);
   }
 
@@ -153,11 +168,19 @@ ${separator}`;
     });
   }
 
-  migrationProgress(tableName, rowsMigrated, totalRows, batchNumber) {
+  indexInfo(tableName, indexName, columns, details = {}) {
+    this.info('INDEX', `Creating index "${indexName}" on table "${tableName}"`, {
+      'Columns': columns.join(', '),
+      ...details
+    });
+  }
+
+  migrationProgress(tableName, rowsMigrated, totalRows, batchNumber, details = {}) {
     const percentage = totalRows > 0 ? ((rowsMigrated / totalRows) * 100).toFixed(1) : 100;
     this.info('DATA_MIGRATION', `Migrating data for table "${tableName}"`, {
       'Progress': `${rowsMigrated}/${totalRows} rows (${percentage}%)`,
-      'Batch': batchNumber
+      'Batch': batchNumber,
+      ...details
     });
   }
 
@@ -189,9 +212,25 @@ ${separator}`;
 --------------------------------------------------------------------------------
   Tables Processed:       ${stats.tablesProcessed}
   Tables Created:         ${stats.tablesCreated}
+  Sequences Created:      ${stats.sequencesCreated}
+  Types Created:          ${stats.typesCreated}
   Primary Keys Created:   ${stats.primaryKeysCreated}
   Foreign Keys Created:   ${stats.foreignKeysCreated}
+  Indexes Created:        ${stats.indexesCreated}
+  Check Constraints:      ${stats.checkConstraintsCreated}
+  Views Created:          ${stats.viewsCreated}
+  Views Needing Review:   ${stats.viewsFailed}
+  Routines Converted:     ${stats.routinesConverted}
+  Routines Applied:       ${stats.routinesApplied}
+  Routines For Review:    ${stats.routinesNeedingReview}
+  Triggers Created:       ${stats.triggersCreated}
+  Triggers For Review:    ${stats.triggersFailed}
   Total Rows Migrated:    ${stats.totalRowsMigrated}
+  Tables Verified:        ${stats.tablesVerified}
+  Verify Mismatches:      ${stats.verificationMismatches}
+  Tables Synced:          ${stats.tablesSynced}
+  Rows Upserted (Sync):   ${stats.rowsUpserted}
+  Rows Deleted (Sync):    ${stats.rowsDeleted}
 --------------------------------------------------------------------------------
   Errors:                 ${stats.errors}
   Warnings:               ${stats.warnings}
@@ -203,6 +242,12 @@ ${separator}`;
     console.log(`\x1b[35m${summary}\x1b[0m`);
   }
 
+  writeReport(name, content, extension = 'txt') {
+    const reportPath = path.join(this.logDir, `${name}_${this.logId}.${extension}`);
+    fs.writeFileSync(reportPath, content);
+    return reportPath;
+  }
+
   close() {
     if (this.flushInterval) {
       clearInterval(this.flushInterval);
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Declarative Table and Column Mapping
+ * Loads per-table and per-column overrides from a JSON or YAML file:
+ *
+ *   tables:
+ *     dbo.tblCustomer:
+ *       name: customers            # target table name
+ *       where: IsDeleted = 0       # MSSQL filter for the rows to migrate
+ *       columns:
+ *         CustName: { name: customer_name }
+ *         LegacyFlag: { skip: true }
+ *         Payload: { type: JSONB }           # takes precedence over mapDataType
+ *         CreatedAt: { default: now() }      # null removes the default
+ *
+ * Table keys are "schema.table"; table and column names match case-insensitively.
+ */
+
+const TABLE_KEYS = new Set(['name', 'where', 'columns']);
+const COLUMN_KEYS = new Set(['name', 'skip', 'type', 'default']);
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class TableMapping {
+  constructor(filePath = null, tables = {}) {
+    this.filePath = filePath;
+    this.tables = new Map();
+
+    for (const [key, entry] of Object.entries(tables)) {
+      const separator = key.indexOf('.');
+      const columns = new Map(Object.entries(entry.columns || {}).map(([name, column]) => [name.toLowerCase(), { source: name, ...column }]));
+      this.tables.set(key.toLowerCase(), {
+        schema: key.slice(0, separator),
+        table: key.slice(separator + 1),
+        name: entry.name || null,
+        where: entry.where || null,
+        columns
+      });
+    }
+  }
+
+  /**
+   * Load and structurally validate a mapping file (.json, .yml or .yaml)
+   * @throws {Error} When the file cannot be read or has invalid entries
+   */
+  static load(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+    const document = extension === '.yml' || extension === '.yaml' ? yaml.load(content) : JSON.parse(content);
+
+    const errors = TableMapping.check(document || {});
+    if (errors.length > 0) {
+      throw new Error(`Invalid mapping file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return new TableMapping(filePath, (document && document.tables) || {});
+  }
+
+  /**
+   * Check the structure of a parsed mapping document
+   * @returns {Array<string>} Error messages
+   */
+  static check(document) {
+    const errors = [];
+
+    if (!isPlainObject(document)) return ['The mapping must be an object with a "tables" key'];
+    for (const key of Object.keys(document)) {
+      if (key !== 'tables') errors.push(`Unknown top-level key "${key}"`);
+    }
+    if (document.tables === undefined) return errors;
+    if (!isPlainObject(document.tables)) return [...errors, '"tables" must be an object keyed by "schema.table"'];
+
+    for (const [tableKey, entry] of Object.entries(document.tables)) {
+      if (!/^[^.]+\..+$/.test(tableKey)) {
+        errors.push(`Table "${tableKey}" must be written as "schema.table"`);
+      }
+      if (!isPlainObject(entry)) {
+        errors.push(`Table "${tableKey}" must be an object`);
+        continue;
+      }
+
+      for (const key of Object.keys(entry)) {
+        if (!TABLE_KEYS.has(key)) errors.push(`Table "${tableKey}": unknown key "${key}"`);
+      }
+      for (const key of ['name', 'where']) {
+        if (entry[key] !== undefined && (typeof entry[key] !== 'string' || entry[key].trim() === '')) {
+          errors.push(`Table "${tableKey}": "${key}" must be a non-empty string`);
+        }
+      }
+      if (entry.columns === undefined) continue;
+      if (!isPlainObject(entry.columns)) {
+        errors.push(`Table "${tableKey}": "columns" must be an object keyed by column name`);
+        continue;
+      }
+
+      const targetNames = new Set();
+      for (const [columnName, column] of Object.entries(entry.columns)) {
+        const label = `Column "${tableKey}.${columnName}"`;
+        if (!isPlainObject(column)) {
+          errors.push(`${label} must be an object`);
+          continue;
+        }
+
+        for (const key of Object.keys(column)) {
+          if (!COLUMN_KEYS.has(key)) errors.push(`${label}: unknown key "${key}"`);
+        }
+        if (column.skip !== undefined && typeof column.skip !== 'boolean') {
+          errors.push(`${label}: "skip" must be true or false`);
+        }
+        if (column.skip === true && Object.keys(column).length > 1) {
+          errors.push(`${label}: a skipped column cannot have other overrides`);
+        }
+        for (const key of ['name', 'type']) {
+          if (column[key] !== undefined && (typeof column[key] !== 'string' || column[key].trim() === '')) {
+            errors.push(`${label}: "${key}" must be a non-empty string`);
+          }
+        }
+        if (column.default !== undefined && column.default !== null && typeof column.default !== 'string' && typeof column.default !== 'number') {
+          errors.push(`${label}: "default" must be an SQL expression or null`);
+        }
+
+        if (column.name) {
+          if (targetNames.has(column.name.toLowerCase())) {
+            errors.push(`${label}: target name "${column.name}" is used twice`);
+          }
+          targetNames.add(column.name.toLowerCase());
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * @returns {{schema: string, table: string, name: string|null, where: string|null, columns: Map}|null}
+   */
+  getTable(schemaName, tableName) {
+    return this.tables.get(`${schemaName}.${tableName}`.toLowerCase()) || null;
+  }
+
+  /**
+   * @returns {{source: string, name?: string, skip?: boolean, type?: string, default?: string|null}|null}
+   */
+  getColumn(schemaName, tableName, columnName) {
+    const table = this.getTable(schemaName, tableName);
+    return (table && table.columns.get(columnName.toLowerCase())) || null;
+  }
+
+  /**
+   * Target name of a column (the source name unless renamed)
+   */
+  getColumnName(schemaName, tableName, columnName) {
+    const column = this.getColumn(schemaName, tableName, columnName);
+    return (column && column.name) || columnName;
+  }
+
+  isColumnSkipped(schemaName, tableName, columnName) {
+    const column = this.getColumn(schemaName, tableName, columnName);
+    return !!(column && column.skip);
+  }
+
+  /**
+   * MSSQL WHERE filter for the rows of a table, or null
+   */
+  getWhere(schemaName, tableName) {
+    const table = this.getTable(schemaName, tableName);
+    return table ? table.where : null;
+  }
+
+  /**
+   * Check the entries against the source database
+   * @param {Map<string, Array<string>>} sourceColumns - Column names by "schema.table"
+   * @returns {Array<string>} Error messages for tables and columns that do not exist
+   */
+  validate(sourceColumns) {
+    const errors = [];
+    const sourceTables = new Map([...sourceColumns.keys()].map(key => [key.toLowerCase(), key]));
+
+    for (const entry of this.tables.values()) {
+      const sourceKey = sourceTables.get(`${entry.schema}.${entry.table}`.toLowerCase());
+      if (!sourceKey) {
+        errors.push(`Table "${entry.schema}.${entry.table}" does not exist in the source database`);
+        continue;
+      }
+
+      const columnNames = new Set(sourceColumns.get(sourceKey).map(name => name.toLowerCase()));
+      for (const column of entry.columns.values()) {
+        if (!columnNames.has(column.source.toLowerCase())) {
+          errors.push(`Column "${entry.schema}.${entry.table}.${column.source}" does not exist in the source database`);
+        }
+      }
+
+      const skipped = [...entry.columns.values()].filter(c => c.skip).length;
+      if (skipped > 0 && skipped >= columnNames.size) {
+        errors.push(`Table "${entry.schema}.${entry.table}" cannot skip all of its columns`);
+      }
+    }
+
+    return errors;
+  }
+
+  getFilePath() {
+    return this.filePath;
+  }
+}
+
+module.exports = TableMapping;
@@ -6,13 +6,126 @@
  */
 
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const sql = require('mssql');
-const { Pool, Client } = require('pg');
+const { Pool, Client, types: pgTypes } = require('pg');
+const { from: copyFrom } = require('pg-copy-streams');
 const MigrationLogger = require('./logger');
-const { mapDataType, escapeIdentifier, convertDefaultValue } = require('./type-mapper');
+const MigrationCheckpoint = require('./checkpoint');
+const SyncState = require('./sync-state');
+const SqlScriptWriter = require('./sql-script');
+const TableMapping = require('./mapping');
+const { toTargetIdentifier, truncateIdentifier, NAMING_POLICIES } = require('./naming');
+const { mapDataType, isKnownType, escapeIdentifier, convertDefaultValue } = require('./type-mapper');
+const { isSpatialType, mapSpatialType, selectSpatialValue, toEwkbHex } = require('./spatial');
+const { toLtreePath, fromLtreePath, getHierarchyFunctions } = require('./hierarchy');
+const { selectVariantValue, formatVariantJson } = require('./variant');
+const { translateExpression, translateQuery, parseViewDefinition } = require('./sql-translator');
+const { convertRoutine, convertTrigger } = require('./routine-converter');
+const { formatCopyRow } = require('./copy-format');
+const { normalizeValue, createChecksum, addRows, formatChecksum } = require('./row-checksum');
 
-// Configuration
-const BATCH_SIZE = parseInt(process.env.BATCH_SIZE) || 1000;
+// Options set from the command line for each run (see cli.js)
+const runOptions = {
+  // Rows per batch (--batch-size, defaults to BATCH_SIZE)
+  batchSize: parseInt(process.env.BATCH_SIZE) || 1000,
+  // Number of tables migrated at the same time (--parallel N)
+  parallel: 1,
+  // Log ID of an interrupted run to continue from its checkpoint (--resume <logId>)
+  resume: null,
+  // Dry run: connect only to MSSQL and write the generated DDL to a .sql file instead of executing it
+  // (--dry-run writes logs/schema_<logId>.sql, --emit-sql <file> chooses the file)
+  dryRun: false,
+  emitSql: null,
+  // Predicate (schemaName, objectName) built from --include/--exclude; null selects everything
+  objectFilter: null,
+  // JSON/YAML file with per-table and per-column overrides (--mapping <file>, see mapping.js)
+  mappingFile: process.env.MAPPING_FILE || null
+};
+
+// Migration steps run by each command: 'schema' creates tables, views and routines,
+// 'data' loads the rows, 'constraints' adds foreign keys, indexes, check constraints and triggers
+const COMMAND_STEPS = {
+  all: ['schema', 'data', 'constraints'],
+  schema: ['schema'],
+  data: ['data'],
+  constraints: ['constraints']
+};
+
+// Data loader: 'copy' streams batches through COPY FROM STDIN, 'insert' runs one INSERT per row
+const LOAD_MODE = (process.env.LOAD_MODE || 'copy').toLowerCase() === 'insert' ? 'insert' : 'copy';
+
+// Tables with at least CHUNK_ROW_THRESHOLD rows and a single-column numeric or date key are
+// split into CHUNK_COUNT key ranges that load in parallel; boundaries come from MIN/MAX ('minmax')
+// or from NTILE over the key ('ntile', evenly sized chunks for skewed keys at the cost of a key scan)
+const CHUNK_ROW_THRESHOLD = parseInt(process.env.CHUNK_ROW_THRESHOLD) || 5000000;
+const CHUNK_COUNT = Math.max(parseInt(process.env.CHUNK_COUNT) || 4, 1);
+const CHUNK_STRATEGY = (process.env.CHUNK_STRATEGY || 'minmax').toLowerCase() === 'ntile' ? 'ntile' : 'minmax';
+const CHUNK_RETRIES = parseInt(process.env.CHUNK_RETRIES) >= 0 ? parseInt(process.env.CHUNK_RETRIES) : 3;
+
+// Data verification: compare every table after the migration (VERIFY_DATA) or on its own (verify command);
+// row checksums are compared per key range of about VERIFY_CHUNK_ROWS rows
+const VERIFY_DATA = process.env.VERIFY_DATA === 'true';
+const VERIFY_CHUNK_ROWS = Math.max(parseInt(process.env.VERIFY_CHUNK_ROWS) || 100000, 1);
+
+// Delta sync (sync command): apply changes made in MSSQL since the last sync, detected through Change
+// Tracking or a rowversion column; the version each table is synced up to is kept in SYNC_STATE_FILE
+const SYNC_STATE_FILE = process.env.SYNC_STATE_FILE || path.join(__dirname, 'output', 'sync_state.json');
+// rowversion columns do not reveal deletes; finding them compares all keys of the table
+const SYNC_DETECT_DELETES = process.env.SYNC_DETECT_DELETES === 'true';
+
+// Create foreign keys after the data load instead of before it, which lets all tables load in parallel
+const DEFER_FOREIGN_KEYS = process.env.DEFER_FOREIGN_KEYS === 'true';
+
+// Disabled MSSQL indexes are skipped unless explicitly requested
+const MIGRATE_DISABLED_INDEXES = process.env.MIGRATE_DISABLED_INDEXES === 'true';
+
+// What to do with CHECK constraints that cannot be fully translated: 'not_valid' or 'skip'
+const CHECK_CONSTRAINT_FALLBACK = (process.env.CHECK_CONSTRAINT_FALLBACK || 'not_valid').toLowerCase();
+
+// Schema handling: when enabled, MSSQL schemas become real PostgreSQL schemas
+// ("dbo"."Orders") instead of being flattened into public ("dbo_Orders")
+const PRESERVE_SCHEMAS = process.env.PRESERVE_SCHEMAS === 'true';
+const SCHEMA_MAP = parseSchemaMap(process.env.SCHEMA_MAP);
+
+// Identifier style for schemas, tables, columns and constraints: 'preserve' keeps the MSSQL names,
+// 'lowercase' and 'snake_case' (CustomerID -> customer_id) produce names that need no quoting.
+// Names longer than 63 bytes are shortened with a hash suffix instead of being truncated by PostgreSQL.
+const NAMING_POLICY = NAMING_POLICIES.includes((process.env.NAMING_POLICY || '').toLowerCase())
+  ? process.env.NAMING_POLICY.toLowerCase()
+  : 'preserve';
+// Use the MSSQL names of primary key, unique, foreign key and check constraints instead of generated ones
+const KEEP_CONSTRAINT_NAMES = process.env.KEEP_CONSTRAINT_NAMES === 'true';
+
+// Stored procedures and functions are converted into PL/pgSQL drafts written to this directory;
+// drafts without TODO markers are also applied when APPLY_ROUTINES is enabled
+const ROUTINES_OUTPUT_DIR = process.env.ROUTINES_OUTPUT_DIR || path.join(__dirname, 'output', 'routines');
+const APPLY_ROUTINES = process.env.APPLY_ROUTINES === 'true';
+
+// geometry and geography columns: postgis (PostGIS types, falls back to wkt when the extension
+// is not available) or wkt (TEXT columns holding WKT)
+const SPATIAL_MODE = (process.env.SPATIAL_MODE || 'wkt').toLowerCase() === 'postgis' ? 'postgis' : 'wkt';
+
+// sql_variant columns: jsonb ({"type": ..., "value": ...} objects) or narrow (columns whose values
+// all share one base type get the PostgreSQL type of that base type, the others JSONB)
+const SQL_VARIANT_MODE = (process.env.SQL_VARIANT_MODE || 'jsonb').toLowerCase() === 'narrow' ? 'narrow' : 'jsonb';
+
+// Columns with case- or accent-insensitive MSSQL collations: none (PostgreSQL's deterministic
+// default collation), citext (CITEXT columns, case-insensitive only) or icu (nondeterministic ICU collations)
+const COLLATION_POLICIES = ['none', 'citext', 'icu'];
+const COLLATION_POLICY = COLLATION_POLICIES.includes((process.env.COLLATION_POLICY || '').toLowerCase())
+  ? process.env.COLLATION_POLICY.toLowerCase()
+  : 'none';
+
+// ICU collations created for COLLATION_POLICY=icu, by what the MSSQL collation ignores
+const ICU_COLLATIONS = {
+  case: { name: 'mssql_ci_as', locale: 'und-u-ks-level2' },
+  case_accent: { name: 'mssql_ci_ai', locale: 'und-u-ks-level1' },
+  accent: { name: 'mssql_cs_ai', locale: 'und-u-ks-level1-kc-true' }
+};
 
 // MSSQL Configuration
 const mssqlConfig = {
@@ -27,7 +140,6 @@ const mssqlConfig = {
     enableArithAbort: true
   },
   pool: {
-    max: 10,
     min: 0,
     idleTimeoutMillis: 30000
   }
@@ -40,7 +152,6 @@ const pgConfig = {
   user: process.env.PG_USER,
   password: process.env.PG_PASSWORD,
   database: process.env.PG_DATABASE || 'ASDB',
-  max: 10,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 10000
 };
@@ -49,16 +160,402 @@ const pgConfig = {
 const stats = {
   tablesProcessed: 0,
   tablesCreated: 0,
+  sequencesCreated: 0,
+  typesCreated: 0,
   primaryKeysCreated: 0,
   foreignKeysCreated: 0,
+  indexesCreated: 0,
+  checkConstraintsCreated: 0,
+  viewsCreated: 0,
+  viewsFailed: 0,
+  routinesConverted: 0,
+  routinesApplied: 0,
+  routinesNeedingReview: 0,
+  triggersCreated: 0,
+  triggersFailed: 0,
   totalRowsMigrated: 0,
+  tablesVerified: 0,
+  verificationMismatches: 0,
+  tablesSynced: 0,
+  rowsUpserted: 0,
+  rowsDeleted: 0,
   errors: 0,
   warnings: 0
 };
 
 let logger;
+let checkpoint;
 let mssqlPool;
 let pgPool;
+let sqlScript;
+let mapping = new TableMapping();
+let collidingConstraintNames = new Set();
+let userDefinedTypes = new Map();
+let postgisAvailable = false;
+let ltreeAvailable = false;
+let collationPolicy = 'none';
+
+/**
+ * Connection pool size: enough for every table worker to load all of its chunks
+ */
+function getPoolSize() {
+  return Math.max(10, runOptions.parallel * CHUNK_COUNT + 1);
+}
+
+/**
+ * Keep the objects selected by the --include/--exclude filters
+ * @param {Function} getName - Returns [schemaName, objectName] for an object
+ * @param {string} kind - Object kind for the log message
+ */
+function filterObjects(objects, getName, kind) {
+  if (!runOptions.objectFilter) return objects;
+  
+  const selected = objects.filter(o => runOptions.objectFilter(...getName(o)));
+  logger.info('DISCOVERY', `${selected.length} of ${objects.length} ${kind} match the --include/--exclude filters`);
+  return selected;
+}
+
+/**
+ * Execute a generated statement in PostgreSQL, or append it to the SQL script in dry-run mode
+ * @returns {Promise<Object|null>} The query result, or null in dry-run mode
+ */
+async function executeSQL(statement) {
+  if (sqlScript) {
+    sqlScript.statement(statement);
+    return null;
+  }
+  return pgPool.query(statement);
+}
+
+/**
+ * Parse a schema remap list such as "dbo:public,sales:sales_v2"
+ */
+function parseSchemaMap(value) {
+  const map = {};
+  if (!value) return map;
+  
+  for (const entry of value.split(',')) {
+    const [source, target] = entry.split(':').map(part => part && part.trim());
+    if (source && target) {
+      map[source] = target;
+    }
+  }
+  
+  return map;
+}
+
+/**
+ * Resolve the PostgreSQL schema an MSSQL schema is migrated into
+ */
+function getTargetSchema(schemaName) {
+  return SCHEMA_MAP[schemaName] || toTargetIdentifier(schemaName, NAMING_POLICY);
+}
+
+/**
+ * Resolve the PostgreSQL name of an MSSQL table
+ * Every place that names a target table goes through here so that
+ * flattened and schema-preserving migrations stay consistent.
+ * A name from the mapping file is used as-is in either mode.
+ */
+function getTargetTable(schemaName, tableName) {
+  const mappedTable = mapping.getTable(schemaName, tableName);
+  const mappedName = mappedTable && mappedTable.name ? truncateIdentifier(mappedTable.name) : null;
+  
+  if (PRESERVE_SCHEMAS) {
+    const schema = getTargetSchema(schemaName);
+    const name = mappedName || toTargetIdentifier(tableName, NAMING_POLICY);
+    return {
+      schema,
+      name,
+      displayName: `${schema}.${name}`,
+      qualifiedName: `${escapeIdentifier(schema)}.${escapeIdentifier(name)}`
+    };
+  }
+  
+  const name = mappedName || toTargetIdentifier(`${schemaName}_${tableName}`, NAMING_POLICY);
+  return {
+    schema: 'public',
+    name,
+    displayName: name,
+    qualifiedName: escapeIdentifier(name)
+  };
+}
+
+/**
+ * Resolve the PostgreSQL name of an MSSQL column
+ * Names from the mapping file are used as-is, all others follow NAMING_POLICY.
+ */
+function getTargetColumn(schemaName, tableName, columnName) {
+  const mappedColumn = mapping.getColumn(schemaName, tableName, columnName);
+  return mappedColumn && mappedColumn.name
+    ? truncateIdentifier(mappedColumn.name)
+    : toTargetIdentifier(columnName, NAMING_POLICY);
+}
+
+/**
+ * Apply NAMING_POLICY to an identifier in translated SQL (view, routine and trigger bodies)
+ * Column renames from the mapping file are not known there; only table-level
+ * expressions (see getTranslationOptions) apply them.
+ */
+function mapTargetIdentifier(name) {
+  return toTargetIdentifier(name, NAMING_POLICY);
+}
+
+/**
+ * Resolve the PostgreSQL name of a constraint or index
+ * Generated names are "<prefix>_<target table>[_<suffix>]"; with KEEP_CONSTRAINT_NAMES
+ * the MSSQL name is used instead when one is given, unless another kept name
+ * takes it in the same target scope (see findCollidingConstraintNames).
+ * @param {string} prefix - pk, uq, fk, ix or ck
+ * @param {Object} target - Target table (see getTargetTable)
+ * @param {string|null} suffix - Column names or the MSSQL index/constraint name
+ * @param {string|null} sourceName - MSSQL constraint name
+ */
+function getConstraintName(prefix, target, suffix, sourceName = null) {
+  if (KEEP_CONSTRAINT_NAMES && sourceName) {
+    const kept = toTargetIdentifier(sourceName, NAMING_POLICY);
+    if (!collidingConstraintNames.has(getConstraintScope(prefix, target, kept))) return kept;
+  }
+  
+  const generated = suffix ? `${prefix}_${target.name}_${suffix}` : `${prefix}_${target.name}`;
+  return toTargetIdentifier(generated, NAMING_POLICY);
+}
+
+/**
+ * Key of the scope a constraint name must be unique in: primary key and unique
+ * constraint names are also index names, unique per schema; foreign key and
+ * check constraint names are unique per table
+ */
+function getConstraintScope(prefix, target, name) {
+  const scope = prefix === 'pk' || prefix === 'uq' ? target.schema : target.displayName;
+  return `${scope}/${name}`;
+}
+
+/**
+ * Find the MSSQL constraint names that KEEP_CONSTRAINT_NAMES cannot keep
+ * MSSQL names are unique per schema only, so flattening schemas (or the naming
+ * policy) can give two constraints the same target name; those fall back to
+ * generated names.
+ */
+async function findCollidingConstraintNames() {
+  collidingConstraintNames = new Set();
+  if (!KEEP_CONSTRAINT_NAMES) return;
+  
+  const result = await mssqlPool.request().query(`
+    SELECT
+      OBJECT_SCHEMA_NAME(o.parent_object_id) AS schema_name,
+      OBJECT_NAME(o.parent_object_id) AS table_name,
+      o.name AS constraint_name,
+      o.type AS constraint_type
+    FROM sys.objects o
+    WHERE o.type IN ('PK', 'UQ', 'F', 'C')
+      AND OBJECTPROPERTY(o.parent_object_id, 'IsUserTable') = 1
+  `);
+  
+  const prefixes = { PK: 'pk', UQ: 'uq', F: 'fk', C: 'ck' };
+  const scopes = new Map();
+  for (const row of result.recordset) {
+    const target = getTargetTable(row.schema_name, row.table_name);
+    const scope = getConstraintScope(prefixes[row.constraint_type.trim()], target, toTargetIdentifier(row.constraint_name, NAMING_POLICY));
+    if (!scopes.has(scope)) scopes.set(scope, []);
+    scopes.get(scope).push(`${row.schema_name}.${row.constraint_name}`);
+  }
+  
+  for (const [scope, sources] of scopes) {
+    if (sources.length < 2) continue;
+    collidingConstraintNames.add(scope);
+    logger.warning('NAMING', `Constraints ${sources.join(', ')} would share one PostgreSQL name, using generated names for them`);
+    stats.warnings++;
+  }
+}
+
+/**
+ * Find the columns skipped by the mapping file among the given column names
+ */
+function getSkippedColumns(schemaName, tableName, columnNames) {
+  return columnNames.filter(name => mapping.isColumnSkipped(schemaName, tableName, name));
+}
+
+/**
+ * Check whether an MSSQL definition (check clause, index filter) references a skipped column
+ * MSSQL stores these definitions with bracketed column names.
+ */
+function referencesSkippedColumn(schemaName, tableName, definition) {
+  const table = mapping.getTable(schemaName, tableName);
+  if (!table) return false;
+  
+  const lowerDefinition = definition.toLowerCase();
+  return [...table.columns.values()].some(c => c.skip && lowerDefinition.includes(`[${c.source.toLowerCase()}]`));
+}
+
+/**
+ * MSSQL row source of a table: the table itself, or a derived table when the
+ * mapping file restricts the rows with a WHERE filter
+ * @param {string} [alias] - Alias for the table in the FROM clause
+ */
+function getSourceRelation(schemaName, tableName, alias = null) {
+  const where = mapping.getWhere(schemaName, tableName);
+  if (!where) {
+    return `[${schemaName}].[${tableName}]${alias ? ` AS ${alias}` : ''}`;
+  }
+  return `(SELECT * FROM [${schemaName}].[${tableName}] WHERE ${where}) AS ${alias || `[${tableName}]`}`;
+}
+
+// Exact numeric types read as text, since the mssql driver would round them to JS numbers
+const EXACT_NUMERIC_TYPES = new Set(['decimal', 'numeric', 'money', 'smallmoney']);
+
+/**
+ * MSSQL expression reading an exact numeric value as text (see EXACT_KEY_CONVERSIONS)
+ */
+function selectExactNumeric(expression, col) {
+  return EXACT_KEY_CONVERSIONS[col.dataType.toLowerCase()](expression);
+}
+
+/**
+ * MSSQL expression reading a column: spatial columns in their spatialFormat,
+ * hierarchyid columns as their path, sql_variant columns with their base type,
+ * exact numerics as text (unless the mapping file overrides their type)
+ * @param {string} [tableAlias] - Alias qualifying the column
+ * @param {boolean} [forVerification] - Read PostGIS columns as plain WKB, matching ST_AsBinary
+ */
+function selectSourceColumn(col, tableAlias = null, forVerification = false) {
+  const column = `${tableAlias ? `${tableAlias}.` : ''}[${col.name}]`;
+  if (col.variantFormat) {
+    return selectVariantValue(column);
+  }
+  if (EXACT_NUMERIC_TYPES.has(col.dataType.toLowerCase()) && !col.typeOverride) {
+    return selectExactNumeric(col.variantCast ? `CAST(${column} AS ${col.variantCast})` : column, col);
+  }
+  if (col.variantCast) {
+    return `CAST(${column} AS ${col.variantCast})`;
+  }
+  if (col.hierarchyFormat) {
+    return `${column}.ToString()`;
+  }
+  if (col.spatialFormat) {
+    return selectSpatialValue(column, forVerification && col.spatialFormat === 'ewkb' ? 'wkb' : col.spatialFormat);
+  }
+  return column;
+}
+
+/**
+ * MSSQL select list for columns, see selectSourceColumn
+ */
+function selectSourceColumns(columns, tableAlias = null, forVerification = false) {
+  return columns.map(c => {
+    const column = `${tableAlias ? `${tableAlias}.` : ''}[${c.name}]`;
+    const expression = selectSourceColumn(c, tableAlias, forVerification);
+    return expression === column ? column : `${expression} AS [${c.name}]`;
+  }).join(', ');
+}
+
+/**
+ * PostgreSQL select list for columns, aliased to their MSSQL names where the
+ * mapping file renames them so rows compare with rows read from MSSQL
+ */
+function selectTargetColumns(columns) {
+  return columns.map(c => {
+    if (c.spatialFormat === 'ewkb') {
+      return `ST_AsBinary(${escapeIdentifier(c.targetName)}) AS ${escapeIdentifier(c.name)}`;
+    }
+    return c.targetName === c.name
+      ? escapeIdentifier(c.name)
+      : `${escapeIdentifier(c.targetName)} AS ${escapeIdentifier(c.name)}`;
+  }).join(', ');
+}
+
+/**
+ * Load the mapping file and check the target names against the source database
+ * Runs before anything is migrated: mapping entries for tables or columns that
+ * do not exist, filters MSSQL rejects and tables or columns that would end up
+ * with the same PostgreSQL name (after renames and the naming policy) abort the run.
+ */
+async function validateTargetNames() {
+  if (runOptions.mappingFile) {
+    logger.section('MAPPING FILE');
+    mapping = TableMapping.load(path.resolve(runOptions.mappingFile));
+  }
+  
+  const result = await mssqlPool.request().query(`
+    SELECT c.TABLE_SCHEMA as schema_name, c.TABLE_NAME as table_name, c.COLUMN_NAME as column_name
+    FROM INFORMATION_SCHEMA.COLUMNS c
+    INNER JOIN INFORMATION_SCHEMA.TABLES t
+      ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+    WHERE t.TABLE_TYPE = 'BASE TABLE'
+      AND t.TABLE_SCHEMA NOT IN ('sys', 'INFORMATION_SCHEMA')
+    ORDER BY c.TABLE_SCHEMA, c.TABLE_NAME, c.ORDINAL_POSITION
+  `);
+  
+  const sourceColumns = new Map();
+  const sourceTables = new Map();
+  for (const row of result.recordset) {
+    const key = `${row.schema_name}.${row.table_name}`;
+    if (!sourceColumns.has(key)) {
+      sourceColumns.set(key, []);
+      sourceTables.set(key, { schemaName: row.schema_name, tableName: row.table_name });
+    }
+    sourceColumns.get(key).push(row.column_name);
+  }
+  
+  const errors = mapping.validate(sourceColumns);
+  
+  // Renamed tables and columns must not collide with other target names
+  const targetTables = new Map();
+  for (const [key, { schemaName, tableName }] of sourceTables) {
+    const displayName = getTargetTable(schemaName, tableName).displayName.toLowerCase();
+    if (targetTables.has(displayName)) {
+      errors.push(`Tables "${targetTables.get(displayName)}" and "${key}" would both be migrated to "${displayName}"`);
+    }
+    targetTables.set(displayName, key);
+    
+    const targetColumns = new Map();
+    for (const columnName of sourceColumns.get(key)) {
+      if (mapping.isColumnSkipped(schemaName, tableName, columnName)) continue;
+      const targetName = getTargetColumn(schemaName, tableName, columnName).toLowerCase();
+      if (targetColumns.has(targetName)) {
+        errors.push(`Columns "${key}.${targetColumns.get(targetName)}" and "${key}.${columnName}" would both be migrated to "${targetName}"`);
+      }
+      targetColumns.set(targetName, columnName);
+    }
+  }
+  
+  for (const [key, { schemaName, tableName }] of sourceTables) {
+    const entry = mapping.getTable(schemaName, tableName);
+    if (!entry) continue;
+    
+    const primaryKey = await getPrimaryKey(schemaName, tableName);
+    const skippedKeyColumns = primaryKey ? getSkippedColumns(schemaName, tableName, primaryKey.columns) : [];
+    if (skippedKeyColumns.length > 0) {
+      errors.push(`Table "${key}" cannot skip primary key columns: ${skippedKeyColumns.join(', ')}`);
+    }
+    
+    if (entry.where) {
+      try {
+        await mssqlPool.request().query(`SELECT TOP 0 1 AS probe FROM ${getSourceRelation(schemaName, tableName)}`);
+      } catch (error) {
+        errors.push(`WHERE filter of table "${key}" is not valid in MSSQL: ${error.message}`);
+      }
+    }
+  }
+  
+  await findCollidingConstraintNames();
+  
+  if (errors.length > 0) {
+    for (const message of errors) {
+      logger.error('NAMING', message);
+    }
+    const source = runOptions.mappingFile ? `Mapping file ${mapping.getFilePath()}` : `Naming policy "${NAMING_POLICY}"`;
+    throw new Error(`${source} does not fit the source database (${errors.length} problems, see the log)`);
+  }
+  
+  if (runOptions.mappingFile) {
+    logger.success('MAPPING', `Loaded mapping file ${mapping.getFilePath()}`, {
+      'Tables': mapping.tables.size,
+      'Filtered Tables': [...mapping.tables.values()].filter(t => t.where).length,
+      'Column Overrides': [...mapping.tables.values()].reduce((count, t) => count + t.columns.size, 0)
+    });
+  }
+}
 
 /**
  * Initialize database connections
@@ -69,13 +566,26 @@ async function initializeConnections() {
   // Connect to MSSQL
   logger.info('CONNECTION', `Connecting to MSSQL Server at ${mssqlConfig.server}:${mssqlConfig.port}`);
   try {
-    mssqlPool = await sql.connect(mssqlConfig);
+    mssqlPool = await sql.connect({ ...mssqlConfig, pool: { ...mssqlConfig.pool, max: getPoolSize() } });
     logger.success('CONNECTION', `Successfully connected to MSSQL database "${mssqlConfig.database}"`);
   } catch (error) {
     logger.error('CONNECTION', `Failed to connect to MSSQL: ${error.message}`);
+    error.isConnectionError = true;
     throw error;
   }
 
+  if (sqlScript) {
+    logger.info('CONNECTION', 'Dry run: not connecting to PostgreSQL');
+    
+    // psql meta-commands: create the target database unless it exists, then switch to it
+    const databaseLiteral = `'${pgConfig.database.replace(/'/g, "''")}'`;
+    const createDatabase = `CREATE DATABASE ${escapeIdentifier(pgConfig.database)}`.replace(/'/g, "''");
+    sqlScript.comment(`Target database "${pgConfig.database}"`);
+    sqlScript.raw(`SELECT '${createDatabase}' WHERE NOT EXISTS (SELECT 1 FROM pg_database WHERE datname = ${databaseLiteral})\\gexec`);
+    sqlScript.raw(`\\connect ${escapeIdentifier(pgConfig.database)}\n`);
+    return;
+  }
+
   // Connect to PostgreSQL (first to default database to create target DB if needed)
   logger.info('CONNECTION', `Connecting to PostgreSQL Server at ${pgConfig.host}:${pgConfig.port}`);
   
@@ -109,16 +619,116 @@ async function initializeConnections() {
     await adminClient.end();
     
     // Now connect to the target database
-    pgPool = new Pool(pgConfig);
+    pgPool = new Pool({ ...pgConfig, max: getPoolSize() });
     await pgPool.query('SELECT 1');
     logger.success('CONNECTION', `Successfully connected to PostgreSQL database "${pgConfig.database}"`);
     
   } catch (error) {
     logger.error('CONNECTION', `Failed to connect to PostgreSQL: ${error.message}`);
+    error.isConnectionError = true;
     throw error;
   }
 }
 
+/**
+ * Make sure a PostgreSQL extension is installed in the target database
+ * The extension is created when the schema is created in this run; dry runs assume it exists.
+ * @param {string} extension - Extension name, e.g. postgis
+ * @param {string} purpose - What the extension is used for (for the log)
+ * @param {boolean} createExtension - Create the extension when it is missing
+ * @param {string} fallback - How the columns are migrated without the extension (for the log)
+ * @returns {Promise<boolean>}
+ */
+async function ensureExtension(extension, purpose, createExtension, fallback) {
+  if (sqlScript) {
+    if (createExtension) await executeSQL(`CREATE EXTENSION IF NOT EXISTS ${extension}`);
+    return true;
+  }
+  
+  const installed = await pgPool.query('SELECT extversion FROM pg_extension WHERE extname = $1', [extension]);
+  if (installed.rows.length > 0) {
+    logger.info('EXTENSION', `Using ${extension} ${installed.rows[0].extversion} for ${purpose}`);
+    return true;
+  }
+  
+  if (createExtension) {
+    try {
+      await executeSQL(`CREATE EXTENSION IF NOT EXISTS ${extension}`);
+      logger.success('EXTENSION', `Created the ${extension} extension for ${purpose}`);
+      return true;
+    } catch (error) {
+      logger.warning('EXTENSION', `Could not create the ${extension} extension: ${error.message}`);
+      stats.warnings++;
+    }
+  }
+  
+  logger.warning('EXTENSION', `The ${extension} extension is not installed in the target database, migrating ${purpose} as ${fallback}`);
+  stats.warnings++;
+  return false;
+}
+
+/**
+ * Check whether the PostgreSQL extension for an MSSQL CLR type can be used
+ * Only matters when source tables have columns of the types.
+ * @param {Array<string>} typeNames - MSSQL types that need the extension
+ * @returns {Promise<boolean>}
+ */
+async function initializeTypeExtension(extension, typeNames, createExtension, fallback) {
+  const result = await mssqlPool.request().query(`
+    SELECT COUNT(*) AS count
+    FROM sys.columns c
+    INNER JOIN sys.tables t ON t.object_id = c.object_id
+    WHERE TYPE_NAME(c.user_type_id) IN (${typeNames.map(name => `'${name}'`).join(', ')})
+  `);
+  if (result.recordset[0].count === 0) return false;
+  
+  return ensureExtension(extension, `${typeNames.join(' and ')} columns`, createExtension, fallback);
+}
+
+/**
+ * Decide how geometry, geography and hierarchyid columns are migrated
+ * @param {boolean} createExtensions - The schema is created in this run
+ */
+async function initializeExtensions(createExtensions) {
+  postgisAvailable = SPATIAL_MODE === 'postgis' &&
+    await initializeTypeExtension('postgis', ['geometry', 'geography'], createExtensions, 'WKT text');
+  ltreeAvailable = await initializeTypeExtension('ltree', ['hierarchyid'], createExtensions, 'text paths');
+}
+
+/**
+ * Prepare the COLLATION_POLICY: the citext extension, or the ICU collations
+ * case- and accent-insensitive columns are created with
+ * @param {boolean} createObjects - The schema is created in this run
+ */
+async function initializeCollations(createObjects) {
+  collationPolicy = COLLATION_POLICY;
+  
+  if (collationPolicy === 'citext') {
+    if (!await ensureExtension('citext', 'case-insensitive columns', createObjects, 'case-sensitive text')) {
+      collationPolicy = 'none';
+    }
+    return;
+  }
+  if (collationPolicy !== 'icu' || !createObjects) return;
+  
+  for (const collation of Object.values(ICU_COLLATIONS)) {
+    const statement = `CREATE COLLATION IF NOT EXISTS ${escapeIdentifier('public')}.${escapeIdentifier(collation.name)} ` +
+      `(provider = icu, locale = '${collation.locale}', deterministic = false)`;
+    try {
+      await executeSQL(statement);
+    } catch (error) {
+      logger.warning('COLLATION', `Could not create ICU collation "${collation.name}", migrating case- and accent-insensitive columns with the default collation: ${error.message}`);
+      stats.warnings++;
+      collationPolicy = 'none';
+      return;
+    }
+  }
+  
+  logger.info('COLLATION', `Created nondeterministic ICU collations for case- and accent-insensitive columns`, {
+    'Collations': Object.values(ICU_COLLATIONS).map(c => `${c.name} (${c.locale})`).join(', ')
+  });
+}
+
 /**
  * Get all user tables from MSSQL
  */
@@ -137,7 +747,7 @@ async function getTables() {
   `;
   
   const result = await mssqlPool.request().query(query);
-  const tables = result.recordset;
+  const tables = filterObjects(result.recordset, t => [t.schema_name, t.table_name], 'tables');
   
   logger.success('DISCOVERY', `Found ${tables.length} tables to migrate`, {
     'Tables': tables.map(t => `${t.schema_name}.${t.table_name}`).join(', ')
@@ -159,9 +769,25 @@ async function getColumns(schemaName, tableName) {
       c.NUMERIC_SCALE as scale,
       c.IS_NULLABLE as isNullable,
       c.COLUMN_DEFAULT as defaultValue,
+      c.COLLATION_NAME as collationName,
       c.ORDINAL_POSITION as ordinalPosition,
-      COLUMNPROPERTY(OBJECT_ID(c.TABLE_SCHEMA + '.' + c.TABLE_NAME), c.COLUMN_NAME, 'IsIdentity') as isIdentity
+      c.DOMAIN_SCHEMA as domainSchema,
+      c.DOMAIN_NAME as domainName,
+      CASE WHEN ic.column_id IS NULL THEN 0 ELSE 1 END as isIdentity,
+      CAST(ic.seed_value AS VARCHAR(40)) as identitySeed,
+      CAST(ic.increment_value AS VARCHAR(40)) as identityIncrement,
+      CASE WHEN ic.last_value IS NULL THEN NULL
+        ELSE CAST(IDENT_CURRENT(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME)) AS VARCHAR(40))
+      END as identityCurrent,
+      cc.definition as computedDefinition,
+      cc.is_persisted as isPersisted
     FROM INFORMATION_SCHEMA.COLUMNS c
+    LEFT JOIN sys.computed_columns cc
+      ON cc.object_id = OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME))
+      AND cc.name = c.COLUMN_NAME
+    LEFT JOIN sys.identity_columns ic
+      ON ic.object_id = OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME))
+      AND ic.name = c.COLUMN_NAME
     WHERE c.TABLE_SCHEMA = @schema
       AND c.TABLE_NAME = @table
     ORDER BY c.ORDINAL_POSITION
@@ -172,52 +798,421 @@ async function getColumns(schemaName, tableName) {
     .input('table', sql.NVarChar, tableName)
     .query(query);
   
-  return result.recordset.map(col => ({
-    name: col.name,
-    dataType: col.dataType,
-    maxLength: col.maxLength,
-    precision: col.precision,
-    scale: col.scale,
-    isNullable: col.isNullable === 'YES',
-    defaultValue: col.defaultValue,
-    ordinalPosition: col.ordinalPosition,
-    isIdentity: col.isIdentity === 1
-  }));
+  // Skipped columns are neither created nor read; renames, type and default overrides
+  // from the mapping file travel with the column
+  const columns = result.recordset.filter(col => !mapping.isColumnSkipped(schemaName, tableName, col.name));
+  
+  const tableColumns = columns.map(col => {
+    const override = mapping.getColumn(schemaName, tableName, col.name) || {};
+    return {
+      name: col.name,
+      targetName: getTargetColumn(schemaName, tableName, col.name),
+      dataType: col.dataType,
+      maxLength: col.maxLength,
+      precision: col.precision,
+      scale: col.scale,
+      isNullable: col.isNullable === 'YES',
+      defaultValue: col.defaultValue,
+      collation: col.collationName,
+      // 'citext' or the ICU collation giving the column its case/accent insensitivity (see COLLATION_POLICY)
+      targetCollation: override.type ? null : getTargetCollation(col.collationName),
+      ordinalPosition: col.ordinalPosition,
+      // Alias type the column is declared with (DATA_TYPE is its base type)
+      userTypeSchema: col.domainSchema,
+      userTypeName: col.domainName,
+      isIdentity: col.isIdentity === 1,
+      // IDENT_SEED, IDENT_INCR and IDENT_CURRENT as decimal strings (current is null until the first insert)
+      identitySeed: col.identitySeed,
+      identityIncrement: col.identityIncrement,
+      identityCurrent: col.identityCurrent,
+      isComputed: col.computedDefinition !== null,
+      computedDefinition: col.computedDefinition,
+      isPersisted: col.isPersisted === true,
+      generatedExpression: null,
+      // PostgreSQL type replacing mapDataType, and default replacing the converted MSSQL
+      // default (null drops it, undefined keeps the converted one)
+      typeOverride: override.type || null,
+      defaultOverride: override.default,
+      // How spatial values are read and written: ewkb (PostGIS) or wkt; srid is set by resolveSpatialColumns
+      spatialFormat: isSpatialType(col.dataType) ? (postgisAvailable ? 'ewkb' : 'wkt') : null,
+      srid: null,
+      // hierarchyid columns are read as paths and stored as ltree or as the path text
+      hierarchyFormat: col.dataType.toLowerCase() === 'hierarchyid' ? (ltreeAvailable ? 'ltree' : 'path') : null,
+      // sql_variant values are stored as JSONB, unless narrowVariantColumns gives the column one base type
+      variantFormat: col.dataType.toLowerCase() === 'sql_variant' ? 'jsonb' : null,
+      variantCast: null
+    };
+  });
+  
+  return tableColumns;
 }
 
 /**
- * Get primary key information for a table
+ * MSSQL type a sql_variant value is cast to when its column is narrowed
+ * @param {number} maxLength - Length in bytes, as reported by SQL_VARIANT_PROPERTY
  */
-async function getPrimaryKey(schemaName, tableName) {
-  const query = `
-    SELECT 
-      kc.CONSTRAINT_NAME as constraintName,
-      kc.COLUMN_NAME as columnName,
-      kc.ORDINAL_POSITION as ordinalPosition
-    FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE kc
-    INNER JOIN INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
-      ON kc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
-      AND kc.TABLE_SCHEMA = tc.TABLE_SCHEMA
-      AND kc.TABLE_NAME = tc.TABLE_NAME
-    WHERE tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
-      AND kc.TABLE_SCHEMA = @schema
-      AND kc.TABLE_NAME = @table
-    ORDER BY kc.ORDINAL_POSITION
-  `;
+function getVariantCast(baseType, precision, scale, maxLength) {
+  switch (baseType) {
+    case 'decimal':
+    case 'numeric':
+      return `${baseType}(${Math.min(precision, 38)},${scale})`;
+    case 'char':
+    case 'varchar':
+    case 'binary':
+    case 'varbinary':
+      return `${baseType}(${maxLength === -1 ? 'max' : maxLength})`;
+    case 'nchar':
+    case 'nvarchar':
+      return `${baseType}(${maxLength === -1 ? 'max' : maxLength / 2})`;
+    case 'datetime2':
+    case 'datetimeoffset':
+    case 'time':
+      return `${baseType}(${scale})`;
+    default:
+      return baseType;
+  }
+}
+
+/**
+ * Give sql_variant columns whose values all share one base type that type (SQL_VARIANT_MODE=narrow)
+ * The column then behaves like a column declared with the base type: values are
+ * read cast to the widest precision, scale and length found in the column.
+ * Only runs when the table is created; later runs follow the created column, see
+ * resolveVariantColumns.
+ */
+async function narrowVariantColumns(schemaName, tableName, columns) {
+  for (const col of columns) {
+    if (col.variantFormat !== 'jsonb') continue;
+    
+    const baseType = `CAST(SQL_VARIANT_PROPERTY([${col.name}], 'BaseType') AS NVARCHAR(128))`;
+    const property = name => `CAST(SQL_VARIANT_PROPERTY([${col.name}], '${name}') AS INT)`;
+    const result = await mssqlPool.request().query(`
+      SELECT TOP (2)
+        ${baseType} AS baseType,
+        MAX(${property('Precision')} - ${property('Scale')}) AS integerDigits,
+        MAX(${property('Scale')}) AS scale,
+        MAX(${property('MaxLength')}) AS maxLength
+      FROM ${getSourceRelation(schemaName, tableName)}
+      WHERE [${col.name}] IS NOT NULL
+      GROUP BY ${baseType}
+    `);
+    
+    const fullColumnName = `${getTargetTable(schemaName, tableName).displayName}.${col.name}`;
+    if (result.recordset.length > 1) {
+      logger.info('SQL_VARIANT', `Column "${fullColumnName}" holds values of several base types, keeping JSONB`);
+      continue;
+    }
+    if (result.recordset.length === 0) continue;
+    
+    const { baseType: type, integerDigits, scale, maxLength } = result.recordset[0];
+    Object.assign(col, {
+      dataType: type,
+      precision: integerDigits + scale,
+      scale,
+      maxLength,
+      variantFormat: null,
+      variantCast: getVariantCast(type, integerDigits + scale, scale, maxLength)
+    });
+    logger.info('SQL_VARIANT', `Column "${fullColumnName}" only holds ${type} values, migrating it as ${mapDataType(type, maxLength, col.precision, scale)}`);
+  }
+}
+
+/**
+ * MSSQL base type matching the PostgreSQL type a narrowed sql_variant column was created with
+ * @param {Object} target - Row of information_schema.columns
+ * @returns {Object|null} dataType, precision, scale and maxLength; null for JSONB (or unknown) columns
+ */
+function getVariantBaseType(target) {
+  const length = target.character_maximum_length;
+  switch (target.data_type) {
+    case 'smallint':
+    case 'bigint':
+    case 'real':
+    case 'date':
+    case 'boolean':
+    case 'uuid':
+      return {
+        dataType: { boolean: 'bit', uuid: 'uniqueidentifier' }[target.data_type] || target.data_type,
+        precision: null, scale: null, maxLength: null
+      };
+    case 'integer':
+      return { dataType: 'int', precision: null, scale: null, maxLength: null };
+    case 'double precision':
+      return { dataType: 'float', precision: null, scale: null, maxLength: null };
+    case 'numeric':
+      return { dataType: 'decimal', precision: target.numeric_precision ?? 38, scale: target.numeric_scale ?? 0, maxLength: null };
+    case 'timestamp without time zone':
+      return { dataType: 'datetime2', precision: null, scale: target.datetime_precision, maxLength: null };
+    case 'timestamp with time zone':
+      return { dataType: 'datetimeoffset', precision: null, scale: target.datetime_precision, maxLength: null };
+    case 'time without time zone':
+      return { dataType: 'time', precision: null, scale: target.datetime_precision, maxLength: null };
+    case 'character':
+      return { dataType: 'nchar', precision: null, scale: null, maxLength: length * 2 };
+    case 'character varying':
+    case 'text':
+      return { dataType: 'nvarchar', precision: null, scale: null, maxLength: length ? length * 2 : -1 };
+    case 'bytea':
+      return { dataType: 'varbinary', precision: null, scale: null, maxLength: -1 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Read sql_variant columns the way they were created when the tables are not created
+ * in this run (resumed and data-only runs, verify and sync): columns created with a
+ * base type instead of JSONB are read cast to it, whatever the values hold today.
+ */
+async function resolveVariantColumns(schemaName, tableName, columns) {
+  const variantColumns = columns.filter(col => col.variantFormat === 'jsonb');
+  if (variantColumns.length === 0) return;
   
-  const result = await mssqlPool.request()
-    .input('schema', sql.NVarChar, schemaName)
-    .input('table', sql.NVarChar, tableName)
-    .query(query);
+  const target = getTargetTable(schemaName, tableName);
+  const result = await pgPool.query(`
+    SELECT column_name, data_type, character_maximum_length, numeric_precision, numeric_scale, datetime_precision
+    FROM information_schema.columns
+    WHERE table_schema = $1 AND table_name = $2
+  `, [target.schema, target.name]);
+  const targetColumns = new Map(result.rows.map(row => [row.column_name, row]));
   
-  if (result.recordset.length === 0) {
-    return null;
+  for (const col of variantColumns) {
+    const targetColumn = targetColumns.get(col.targetName);
+    const baseType = targetColumn && getVariantBaseType(targetColumn);
+    if (!baseType) continue;
+    
+    Object.assign(col, baseType, {
+      variantFormat: null,
+      variantCast: getVariantCast(baseType.dataType, baseType.precision, baseType.scale, baseType.maxLength)
+    });
   }
-  
-  return {
-    name: result.recordset[0].constraintName,
-    columns: result.recordset.map(r => r.columnName)
-  };
+}
+
+/**
+ * Give columns the collation they were created with when the tables are not created
+ * in this run (resumed, data-only and constraints runs): columns that
+ * checkCollationConflicts kept case-sensitive have no ICU collation or citext type in
+ * PostgreSQL, and translated constraints must not treat them as insensitive.
+ * Tables that do not exist yet keep the collations of COLLATION_POLICY.
+ */
+async function resolveColumnCollations(schemaName, tableName, columns) {
+  const target = getTargetTable(schemaName, tableName);
+  const result = await pgPool.query(`
+    SELECT a.attname AS column_name, co.collname AS collation_name,
+      t.typname = 'citext' OR bt.typname = 'citext' AS is_citext
+    FROM pg_attribute a
+    INNER JOIN pg_class c ON c.oid = a.attrelid
+    INNER JOIN pg_namespace n ON n.oid = c.relnamespace
+    INNER JOIN pg_type t ON t.oid = a.atttypid
+    LEFT JOIN pg_type bt ON bt.oid = t.typbasetype
+    LEFT JOIN pg_collation co ON co.oid = a.attcollation
+    WHERE n.nspname = $1 AND c.relname = $2 AND a.attnum > 0 AND NOT a.attisdropped
+  `, [target.schema, target.name]);
+  const targetColumns = new Map(result.rows.map(row => [row.column_name, row]));
+  const icuCollations = new Set(Object.values(ICU_COLLATIONS).map(c => c.name));
+  
+  for (const col of columns) {
+    const targetColumn = targetColumns.get(col.targetName);
+    if (!targetColumn) continue;
+    
+    if (targetColumn.is_citext) {
+      col.targetCollation = 'citext';
+    } else {
+      col.targetCollation = icuCollations.has(targetColumn.collation_name) ? targetColumn.collation_name : null;
+    }
+  }
+}
+
+/**
+ * Read which comparisons an MSSQL collation ignores
+ * @returns {string|null} case, accent or case_accent; null for case- and accent-sensitive collations
+ */
+function getCollationInsensitivity(collationName) {
+  if (!collationName) return null;
+  
+  const name = collationName.toUpperCase();
+  const ignoresCase = /_CI(_|$)/.test(name);
+  const ignoresAccents = /_AI(_|$)/.test(name);
+  if (ignoresCase && ignoresAccents) return 'case_accent';
+  if (ignoresCase) return 'case';
+  return ignoresAccents ? 'accent' : null;
+}
+
+/**
+ * Target collation of a column under the collation policy, see getColumns
+ */
+function getTargetCollation(collationName) {
+  const insensitivity = getCollationInsensitivity(collationName);
+  if (!insensitivity) return null;
+  
+  switch (collationPolicy) {
+    case 'citext':
+      // citext ignores case only; accent-insensitive columns keep their accents significant
+      return insensitivity === 'accent' ? null : 'citext';
+    case 'icu':
+      return ICU_COLLATIONS[insensitivity].name;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Translate computed column definitions into PostgreSQL generated column expressions
+ * Sets generatedExpression on each computed column that can become a
+ * GENERATED ALWAYS AS (...) STORED column; the others stay plain columns.
+ */
+function resolveComputedColumns(schemaName, tableName, columns) {
+  const fullTableName = getTargetTable(schemaName, tableName).displayName;
+  const computedNames = new Set(columns.filter(c => c.isComputed).map(c => c.name.toLowerCase()));
+  
+  for (const col of columns) {
+    if (!col.isComputed) continue;
+    
+    const translation = translateExpression(col.computedDefinition, getTranslationOptions(columns));
+    const referencesComputed = translation.references.some(name => computedNames.has(name.toLowerCase()));
+    
+    let reason = null;
+    if (!translation.complete) {
+      reason = `unsupported constructs: ${translation.unsupported.join(', ')}`;
+    } else if (!translation.immutable) {
+      reason = 'expression is not immutable in PostgreSQL';
+    } else if (referencesComputed) {
+      reason = 'expression references another computed column';
+    }
+    
+    if (reason) {
+      logger.warning('COMPUTED_COLUMN', `Computed column "${col.name}" on table "${fullTableName}" will be migrated as a plain column: ${reason}`, {
+        'Definition': col.computedDefinition,
+        'Partial Translation': translation.sql
+      });
+      stats.warnings++;
+      continue;
+    }
+    
+    col.generatedExpression = translation.sql;
+  }
+}
+
+/**
+ * MSSQL expression grouping values the way the column's target collation compares them
+ */
+function getComparisonExpression(col) {
+  const column = `[${col.name}]`;
+  switch (col.targetCollation) {
+    case 'citext':
+    case ICU_COLLATIONS.case.name:
+      return `LOWER(${column}) COLLATE Latin1_General_100_BIN2`;
+    case ICU_COLLATIONS.case_accent.name:
+      return `${column} COLLATE Latin1_General_100_CI_AI`;
+    case ICU_COLLATIONS.accent.name:
+      return `${column} COLLATE Latin1_General_100_CS_AI`;
+    default:
+      // PostgreSQL's default collation compares text byte by byte
+      return col.collation ? `${column} COLLATE Latin1_General_100_BIN2` : column;
+  }
+}
+
+/**
+ * Find primary keys, unique constraints and unique indexes whose data would conflict
+ * under the case or accent insensitivity of their columns' target collations
+ * The columns of those keys keep case- and accent-sensitive comparison, so the
+ * keys can still be created.
+ */
+async function checkCollationConflicts(schemaName, tableName, columns, primaryKey, uniqueConstraints, indexes) {
+  const fullTableName = getTargetTable(schemaName, tableName).displayName;
+  const columnsByName = new Map(columns.map(c => [c.name, c]));
+  const keys = [
+    ...(primaryKey ? [{ kind: 'primary key', name: primaryKey.name, columns: primaryKey.columns, filter: null }] : []),
+    ...uniqueConstraints.map(uc => ({ kind: 'unique constraint', name: uc.name, columns: uc.columns, filter: null })),
+    ...indexes.filter(ix => ix.isUnique).map(ix => ({ kind: 'unique index', name: ix.name, columns: ix.columns.map(c => c.name), filter: ix.filter }))
+  ];
+  
+  for (const key of keys) {
+    // Keys on skipped columns are not created
+    const keyColumns = key.columns.map(name => columnsByName.get(name));
+    if (keyColumns.some(c => !c) || !keyColumns.some(c => c.targetCollation)) continue;
+    
+    // Rows with a NULL key column never conflict in PostgreSQL
+    const conditions = keyColumns.map(c => `[${c.name}] IS NOT NULL`);
+    if (key.filter) conditions.push(`(${key.filter})`);
+    
+    const expressions = keyColumns.map(getComparisonExpression);
+    const result = await mssqlPool.request().query(`
+      SELECT TOP (5) ${keyColumns.map((c, i) => `MIN(CONVERT(NVARCHAR(4000), [${c.name}])) AS [value_${i}]`).join(', ')}, COUNT(*) AS duplicates
+      FROM ${getSourceRelation(schemaName, tableName)}
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY ${expressions.join(', ')}
+      HAVING COUNT(*) > 1
+    `);
+    if (result.recordset.length === 0) continue;
+    
+    const insensitiveColumns = keyColumns.filter(c => c.targetCollation);
+    logger.warning('COLLATION', `Data of ${key.kind} "${key.name}" on table "${fullTableName}" conflicts under case- or accent-insensitive comparison, keeping ${insensitiveColumns.map(c => c.name).join(', ')} case-sensitive`, {
+      'Conflicting Values': result.recordset
+        .map(row => `${keyColumns.map((c, i) => row[`value_${i}`]).join(', ')} (${row.duplicates} rows)`)
+        .join('; ')
+    });
+    stats.warnings++;
+    insensitiveColumns.forEach(c => { c.targetCollation = null; });
+  }
+}
+
+/**
+ * Find the SRID of each PostGIS column
+ * MSSQL stores the SRID per value; a column whose values all share one SRID is
+ * declared with it, other columns accept any SRID.
+ */
+async function resolveSpatialColumns(schemaName, tableName, columns) {
+  for (const col of columns) {
+    if (col.spatialFormat !== 'ewkb') continue;
+    
+    const result = await mssqlPool.request().query(`
+      SELECT DISTINCT TOP (2) [${col.name}].STSrid AS srid
+      FROM ${getSourceRelation(schemaName, tableName)}
+      WHERE [${col.name}] IS NOT NULL
+    `);
+    
+    if (result.recordset.length === 1) {
+      col.srid = result.recordset[0].srid;
+    } else if (result.recordset.length > 1) {
+      logger.info('SPATIAL', `Column "${getTargetTable(schemaName, tableName).displayName}.${col.name}" has values with different SRIDs, creating it without an SRID constraint`);
+    }
+  }
+}
+
+/**
+ * Get primary key information for a table
+ */
+async function getPrimaryKey(schemaName, tableName) {
+  const query = `
+    SELECT 
+      kc.CONSTRAINT_NAME as constraintName,
+      kc.COLUMN_NAME as columnName,
+      kc.ORDINAL_POSITION as ordinalPosition
+    FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE kc
+    INNER JOIN INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+      ON kc.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+      AND kc.TABLE_SCHEMA = tc.TABLE_SCHEMA
+      AND kc.TABLE_NAME = tc.TABLE_NAME
+    WHERE tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
+      AND kc.TABLE_SCHEMA = @schema
+      AND kc.TABLE_NAME = @table
+    ORDER BY kc.ORDINAL_POSITION
+  `;
+  
+  const result = await mssqlPool.request()
+    .input('schema', sql.NVarChar, schemaName)
+    .input('table', sql.NVarChar, tableName)
+    .query(query);
+  
+  if (result.recordset.length === 0) {
+    return null;
+  }
+  
+  return {
+    name: result.recordset[0].constraintName,
+    columns: result.recordset.map(r => r.columnName)
+  };
 }
 
 /**
@@ -264,16 +1259,17 @@ async function getUniqueConstraints(schemaName, tableName) {
  * Get check constraints for a table
  */
 async function getCheckConstraints(schemaName, tableName) {
+  // sys.check_constraints lists each constraint once (column usage would repeat
+  // multi-column checks) and also knows whether MSSQL enforces it
   const query = `
     SELECT 
-      cc.CONSTRAINT_NAME as constraintName,
-      cc.CHECK_CLAUSE as checkClause
-    FROM INFORMATION_SCHEMA.CHECK_CONSTRAINTS cc
-    INNER JOIN INFORMATION_SCHEMA.CONSTRAINT_COLUMN_USAGE ccu
-      ON cc.CONSTRAINT_NAME = ccu.CONSTRAINT_NAME
-      AND cc.CONSTRAINT_SCHEMA = ccu.CONSTRAINT_SCHEMA
-    WHERE ccu.TABLE_SCHEMA = @schema
-      AND ccu.TABLE_NAME = @table
+      cc.name as constraintName,
+      cc.definition as checkClause,
+      cc.is_disabled as isDisabled,
+      cc.is_not_trusted as isNotTrusted
+    FROM sys.check_constraints cc
+    WHERE cc.parent_object_id = OBJECT_ID(QUOTENAME(@schema) + '.' + QUOTENAME(@table))
+    ORDER BY cc.name
   `;
   
   const result = await mssqlPool.request()
@@ -283,8 +1279,401 @@ async function getCheckConstraints(schemaName, tableName) {
   
   return result.recordset.map(r => ({
     name: r.constraintName,
-    clause: r.checkClause
+    clause: r.checkClause,
+    isDisabled: r.isDisabled,
+    isNotTrusted: r.isNotTrusted
+  }));
+}
+
+/**
+ * Get indexes for a table that are not backing a primary key or unique constraint
+ */
+async function getIndexes(schemaName, tableName) {
+  const query = `
+    SELECT 
+      i.name as indexName,
+      i.type as indexType,
+      i.is_unique as isUnique,
+      i.is_disabled as isDisabled,
+      i.has_filter as hasFilter,
+      i.filter_definition as filterDefinition,
+      c.name as columnName,
+      ic.key_ordinal as keyOrdinal,
+      ic.is_descending_key as isDescending,
+      ic.is_included_column as isIncluded
+    FROM sys.indexes i
+    INNER JOIN sys.index_columns ic
+      ON i.object_id = ic.object_id
+      AND i.index_id = ic.index_id
+    INNER JOIN sys.columns c
+      ON ic.object_id = c.object_id
+      AND ic.column_id = c.column_id
+    WHERE i.object_id = OBJECT_ID(QUOTENAME(@schema) + '.' + QUOTENAME(@table))
+      AND i.type IN (1, 2, 4)
+      AND i.is_primary_key = 0
+      AND i.is_unique_constraint = 0
+      AND i.is_hypothetical = 0
+      AND (ic.key_ordinal > 0 OR ic.is_included_column = 1)
+    ORDER BY i.name, ic.is_included_column, ic.key_ordinal, ic.index_column_id
+  `;
+  
+  const result = await mssqlPool.request()
+    .input('schema', sql.NVarChar, schemaName)
+    .input('table', sql.NVarChar, tableName)
+    .query(query);
+  
+  // Group by index name
+  const indexes = {};
+  for (const row of result.recordset) {
+    if (!indexes[row.indexName]) {
+      indexes[row.indexName] = {
+        name: row.indexName,
+        isSpatial: row.indexType === 4,
+        isUnique: row.isUnique,
+        isDisabled: row.isDisabled,
+        filter: row.hasFilter ? row.filterDefinition : null,
+        columns: [],
+        includedColumns: []
+      };
+    }
+    
+    if (row.isIncluded) {
+      indexes[row.indexName].includedColumns.push(row.columnName);
+    } else {
+      indexes[row.indexName].columns.push({
+        name: row.columnName,
+        descending: row.isDescending
+      });
+    }
+  }
+  
+  return Object.values(indexes);
+}
+
+/**
+ * Get user-defined alias types and table types from MSSQL
+ * Alias types become domains, table types composite types; CLR types are not supported.
+ */
+async function getUserDefinedTypes() {
+  logger.info('DISCOVERY', 'Retrieving user-defined types from MSSQL database...');
+  
+  // max_length is in bytes like the lengths mapDataType expects for nchar/nvarchar
+  const query = `
+    SELECT 
+      s.name as schema_name,
+      t.name as name,
+      t.user_type_id as userTypeId,
+      TYPE_NAME(t.system_type_id) as dataType,
+      t.max_length as maxLength,
+      t.precision as precision,
+      t.scale as scale,
+      t.is_nullable as isNullable,
+      t.collation_name as collationName,
+      t.is_table_type as isTableType,
+      t.is_assembly_type as isAssemblyType,
+      rm.definition as ruleDefinition
+    FROM sys.types t
+    INNER JOIN sys.schemas s
+      ON t.schema_id = s.schema_id
+    LEFT JOIN sys.sql_modules rm
+      ON t.rule_object_id = rm.object_id
+    WHERE t.is_user_defined = 1
+    ORDER BY s.name, t.name
+  `;
+  
+  const columnQuery = `
+    SELECT 
+      tt.user_type_id as userTypeId,
+      c.name as name,
+      TYPE_NAME(c.system_type_id) as dataType,
+      c.max_length as maxLength,
+      c.precision as precision,
+      c.scale as scale
+    FROM sys.table_types tt
+    INNER JOIN sys.columns c
+      ON tt.type_table_object_id = c.object_id
+    ORDER BY tt.user_type_id, c.column_id
+  `;
+  
+  const result = await mssqlPool.request().query(query);
+  const columns = await mssqlPool.request().query(columnQuery);
+  
+  const types = result.recordset.map(t => ({ ...t, columns: [] }));
+  const typesById = new Map(types.map(t => [t.userTypeId, t]));
+  for (const column of columns.recordset) {
+    const type = typesById.get(column.userTypeId);
+    if (type) type.columns.push(column);
+  }
+  
+  logger.success('DISCOVERY', `Found ${types.length} user-defined types`, {
+    'Alias Types': types.filter(t => !t.isTableType && !t.isAssemblyType).length,
+    'Table Types': types.filter(t => t.isTableType).length
+  });
+  
+  return types;
+}
+
+/**
+ * Get all sequence objects from MSSQL
+ * Sequences are not narrowed by --include/--exclude since tables in other
+ * schemas may draw their defaults from them.
+ */
+async function getSequences() {
+  logger.info('DISCOVERY', 'Retrieving sequences from MSSQL database...');
+  
+  // last_used_value exists from SQL Server 2017; older versions only report current_value
+  const hasLastUsedValue = (await mssqlPool.request()
+    .query(`SELECT COL_LENGTH('sys.sequences', 'last_used_value') as length`)).recordset[0].length !== null;
+  
+  const query = `
+    SELECT 
+      s.name as schema_name,
+      seq.name as name,
+      TYPE_NAME(seq.system_type_id) as dataType,
+      CAST(seq.start_value AS VARCHAR(40)) as startValue,
+      CAST(seq.increment AS VARCHAR(40)) as increment,
+      CAST(seq.minimum_value AS VARCHAR(40)) as minimumValue,
+      CAST(seq.maximum_value AS VARCHAR(40)) as maximumValue,
+      seq.is_cycling as isCycling,
+      seq.is_cached as isCached,
+      seq.cache_size as cacheSize,
+      ${hasLastUsedValue ? 'CAST(seq.last_used_value AS VARCHAR(40))' : 'CAST(seq.current_value AS VARCHAR(40))'} as lastValue
+    FROM sys.sequences seq
+    INNER JOIN sys.schemas s
+      ON seq.schema_id = s.schema_id
+    ORDER BY s.name, seq.name
+  `;
+  
+  const result = await mssqlPool.request().query(query);
+  logger.success('DISCOVERY', `Found ${result.recordset.length} sequences to migrate`);
+  
+  return result.recordset;
+}
+
+/**
+ * Get all user views and their definitions from MSSQL
+ */
+async function getViews() {
+  logger.section('VIEW DISCOVERY');
+  logger.info('DISCOVERY', 'Retrieving view definitions from MSSQL database...');
+  
+  const query = `
+    SELECT 
+      s.name as schema_name,
+      v.name as view_name,
+      m.definition as definition
+    FROM sys.views v
+    INNER JOIN sys.schemas s
+      ON v.schema_id = s.schema_id
+    LEFT JOIN sys.sql_modules m
+      ON v.object_id = m.object_id
+    WHERE v.is_ms_shipped = 0
+    ORDER BY s.name, v.name
+  `;
+  
+  const dependencyQuery = `
+    SELECT 
+      OBJECT_SCHEMA_NAME(d.referencing_id) as viewSchema,
+      OBJECT_NAME(d.referencing_id) as viewName,
+      COALESCE(d.referenced_schema_name, OBJECT_SCHEMA_NAME(d.referencing_id)) as referencedSchema,
+      d.referenced_entity_name as referencedName
+    FROM sys.sql_expression_dependencies d
+    INNER JOIN sys.views v
+      ON d.referencing_id = v.object_id
+    WHERE d.referenced_database_name IS NULL
+  `;
+  
+  const result = await mssqlPool.request().query(query);
+  const dependencies = await mssqlPool.request().query(dependencyQuery);
+  
+  const views = filterObjects(result.recordset, v => [v.schema_name, v.view_name], 'views').map(v => ({
+    schema_name: v.schema_name,
+    view_name: v.view_name,
+    definition: v.definition,
+    dependencies: []
+  }));
+  
+  const viewsByName = new Map(views.map(v => [`${v.schema_name}.${v.view_name}`.toLowerCase(), v]));
+  for (const row of dependencies.recordset) {
+    const view = viewsByName.get(`${row.viewSchema}.${row.viewName}`.toLowerCase());
+    if (view) {
+      view.dependencies.push(`${row.referencedSchema}.${row.referencedName}`.toLowerCase());
+    }
+  }
+  
+  logger.success('DISCOVERY', `Found ${views.length} views to migrate`);
+  
+  return views;
+}
+
+/**
+ * Get user stored procedures and functions with their parameters from MSSQL
+ */
+async function getRoutines() {
+  logger.section('ROUTINE DISCOVERY');
+  logger.info('DISCOVERY', 'Retrieving stored procedures and functions from MSSQL database...');
+  
+  const query = `
+    SELECT 
+      o.object_id as objectId,
+      s.name as schema_name,
+      o.name as name,
+      RTRIM(o.type) as type,
+      m.definition as definition
+    FROM sys.objects o
+    INNER JOIN sys.schemas s
+      ON o.schema_id = s.schema_id
+    LEFT JOIN sys.sql_modules m
+      ON o.object_id = m.object_id
+    WHERE o.type IN ('P', 'FN', 'IF', 'TF')
+      AND o.is_ms_shipped = 0
+    ORDER BY s.name, o.name
+  `;
+  
+  // parameter_id 0 is the return value of scalar functions
+  const parameterQuery = `
+    SELECT 
+      p.object_id as objectId,
+      p.parameter_id as parameterId,
+      p.name as name,
+      TYPE_NAME(p.system_type_id) as dataType,
+      TYPE_NAME(p.user_type_id) as userType,
+      SCHEMA_NAME(t.schema_id) as userTypeSchema,
+      t.is_user_defined as isUserDefined,
+      p.max_length as maxLength,
+      p.precision as precision,
+      p.scale as scale,
+      p.is_output as isOutput,
+      p.is_readonly as isReadOnly
+    FROM sys.parameters p
+    INNER JOIN sys.objects o
+      ON p.object_id = o.object_id
+    INNER JOIN sys.types t
+      ON p.user_type_id = t.user_type_id
+    WHERE o.type IN ('P', 'FN', 'IF', 'TF')
+      AND o.is_ms_shipped = 0
+    ORDER BY p.object_id, p.parameter_id
+  `;
+  
+  const resultColumnQuery = `
+    SELECT 
+      c.object_id as objectId,
+      c.name as name,
+      TYPE_NAME(c.system_type_id) as dataType,
+      c.max_length as maxLength,
+      c.precision as precision,
+      c.scale as scale
+    FROM sys.columns c
+    INNER JOIN sys.objects o
+      ON c.object_id = o.object_id
+    WHERE o.type IN ('IF', 'TF')
+      AND o.is_ms_shipped = 0
+    ORDER BY c.object_id, c.column_id
+  `;
+  
+  const result = await mssqlPool.request().query(query);
+  const parameters = await mssqlPool.request().query(parameterQuery);
+  const resultColumns = await mssqlPool.request().query(resultColumnQuery);
+  
+  const routineRows = filterObjects(result.recordset, r => [r.schema_name, r.name], 'routines');
+  const routines = routineRows.map(r => ({
+    schema_name: r.schema_name,
+    name: r.name,
+    type: r.type,
+    definition: r.definition,
+    parameters: [],
+    returnType: null,
+    resultColumns: []
+  }));
+  
+  const routinesById = new Map(routineRows.map((r, i) => [r.objectId, routines[i]]));
+  for (const param of parameters.recordset) {
+    const routine = routinesById.get(param.objectId);
+    if (!routine) continue;
+    if (param.parameterId === 0) {
+      routine.returnType = param;
+    } else {
+      routine.parameters.push(param);
+    }
+  }
+  for (const column of resultColumns.recordset) {
+    const routine = routinesById.get(column.objectId);
+    if (routine) routine.resultColumns.push(column);
+  }
+  
+  logger.success('DISCOVERY', `Found ${routines.length} stored procedures and functions`);
+  
+  return routines;
+}
+
+/**
+ * Get DML triggers defined on user tables and views from MSSQL
+ */
+async function getTriggers() {
+  logger.section('TRIGGER DISCOVERY');
+  logger.info('DISCOVERY', 'Retrieving DML triggers from MSSQL database...');
+  
+  const query = `
+    SELECT 
+      t.object_id as objectId,
+      s.name as schema_name,
+      o.name as table_name,
+      t.name as name,
+      t.is_disabled as isDisabled,
+      t.is_instead_of_trigger as isInsteadOf,
+      m.definition as definition
+    FROM sys.triggers t
+    INNER JOIN sys.objects o
+      ON t.parent_id = o.object_id
+    INNER JOIN sys.schemas s
+      ON o.schema_id = s.schema_id
+    LEFT JOIN sys.sql_modules m
+      ON t.object_id = m.object_id
+    WHERE t.parent_class = 1
+      AND t.is_ms_shipped = 0
+    ORDER BY s.name, o.name, t.name
+  `;
+  
+  const eventQuery = `
+    SELECT 
+      te.object_id as objectId,
+      te.type_desc as event
+    FROM sys.trigger_events te
+    INNER JOIN sys.triggers t
+      ON te.object_id = t.object_id
+    WHERE t.parent_class = 1
+  `;
+  
+  const result = await mssqlPool.request().query(query);
+  const events = await mssqlPool.request().query(eventQuery);
+  
+  // Triggers follow the filter of their parent table or view
+  const triggerRows = filterObjects(result.recordset, t => [t.schema_name, t.table_name], 'triggers');
+  const triggers = triggerRows.map(t => ({
+    schema_name: t.schema_name,
+    table_name: t.table_name,
+    name: t.name,
+    isDisabled: t.isDisabled,
+    isInsteadOf: t.isInsteadOf,
+    definition: t.definition,
+    events: []
   }));
+  
+  const triggersById = new Map(triggerRows.map((t, i) => [t.objectId, triggers[i]]));
+  for (const row of events.recordset) {
+    const trigger = triggersById.get(row.objectId);
+    if (trigger) trigger.events.push(row.event);
+  }
+  
+  // Keep a stable INSERT, UPDATE, DELETE order for the generated triggers
+  const eventOrder = ['INSERT', 'UPDATE', 'DELETE'];
+  for (const trigger of triggers) {
+    trigger.events.sort((a, b) => eventOrder.indexOf(a) - eventOrder.indexOf(b));
+  }
+  
+  logger.success('DISCOVERY', `Found ${triggers.length} DML triggers`);
+  
+  return triggers;
 }
 
 /**
@@ -355,12 +1744,85 @@ function convertReferentialAction(action) {
   return mappings[action] || 'NO ACTION';
 }
 
+/**
+ * Create the target schemas in PostgreSQL
+ */
+async function createSchemas(tables) {
+  if (!PRESERVE_SCHEMAS) return;
+  
+  const schemas = [...new Set(tables.map(t => getTargetSchema(t.schema_name)))];
+  
+  for (const schema of schemas) {
+    if (schema === 'public') continue;
+    
+    try {
+      await executeSQL(`CREATE SCHEMA IF NOT EXISTS ${escapeIdentifier(schema)}`);
+      logger.success('SCHEMA_CREATION', `Schema "${schema}" is ready`);
+    } catch (error) {
+      logger.error('SCHEMA_CREATION', `Failed to create schema "${schema}": ${error.message}`);
+      stats.errors++;
+    }
+  }
+}
+
+// Value ranges of the integer types PostgreSQL accepts for identity columns
+const IDENTITY_TYPE_RANGES = {
+  SMALLINT: ['-32768', '32767'],
+  INTEGER: ['-2147483648', '2147483647'],
+  BIGINT: ['-9223372036854775808', '9223372036854775807']
+};
+IDENTITY_TYPE_RANGES.INT2 = IDENTITY_TYPE_RANGES.SMALLINT;
+IDENTITY_TYPE_RANGES.INT = IDENTITY_TYPE_RANGES.INT4 = IDENTITY_TYPE_RANGES.INTEGER;
+IDENTITY_TYPE_RANGES.INT8 = IDENTITY_TYPE_RANGES.BIGINT;
+
+/**
+ * Build the GENERATED BY DEFAULT AS IDENTITY clause for an MSSQL identity column
+ * BY DEFAULT lets the loader insert the original values. Sequences that count
+ * down or start below 1 get the full type range, since PostgreSQL would
+ * otherwise reject them against its default MINVALUE/MAXVALUE.
+ * @returns {{type: string, clause: string, warning: string|null}}
+ */
+function getIdentityDefinition(col, pgType) {
+  let type = pgType.toUpperCase();
+  let warning = null;
+  
+  // decimal(p,0)/numeric(p,0) identities become BIGINT, the widest integer identity type
+  if (!IDENTITY_TYPE_RANGES[type]) {
+    warning = `${pgType} cannot be an identity in PostgreSQL, using BIGINT`;
+    type = 'BIGINT';
+  }
+  
+  const seed = col.identitySeed || '1';
+  const increment = col.identityIncrement || '1';
+  const options = [`START WITH ${seed}`, `INCREMENT BY ${increment}`];
+  if (BigInt(increment) < 0n || BigInt(seed) < 1n) {
+    const [min, max] = IDENTITY_TYPE_RANGES[type];
+    options.push(`MINVALUE ${min}`, `MAXVALUE ${max}`);
+  }
+  
+  return { type, clause: `GENERATED BY DEFAULT AS IDENTITY (${options.join(' ')})`, warning };
+}
+
+/**
+ * PostgreSQL type of a column: the mapping file override, the extension type of
+ * spatial and hierarchyid columns, CITEXT for case-insensitive columns under
+ * COLLATION_POLICY=citext, otherwise the mapped MSSQL type
+ */
+function getColumnType(col) {
+  if (col.typeOverride) return col.typeOverride;
+  if (col.spatialFormat === 'ewkb') return mapSpatialType(col.dataType, col.srid);
+  if (col.hierarchyFormat === 'ltree') return 'LTREE';
+  if (col.targetCollation === 'citext') return 'CITEXT';
+  return mapDataType(col.dataType, col.maxLength, col.precision, col.scale);
+}
+
 /**
  * Create a table in PostgreSQL
  */
 async function createTable(schemaName, tableName, columns, primaryKey, uniqueConstraints) {
-  const fullTableName = `${schemaName}_${tableName}`;
-  const pgTableName = escapeIdentifier(fullTableName);
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  const pgTableName = target.qualifiedName;
   
   logger.tableInfo(fullTableName, 'Starting table creation', {
     'Columns': columns.length,
@@ -371,20 +1833,58 @@ async function createTable(schemaName, tableName, columns, primaryKey, uniqueCon
   // Build column definitions
   const columnDefs = [];
   for (const col of columns) {
-    const pgType = mapDataType(col.dataType, col.maxLength, col.precision, col.scale);
+    if (!col.typeOverride && !isKnownType(col.dataType)) {
+      logger.warning('TYPE_MAPPING', `Unknown MSSQL type "${col.dataType}" for column "${fullTableName}.${col.name}", defaulting to TEXT`);
+      stats.warnings++;
+    }
+    
+    const pgType = getColumnType(col);
     const constraints = [];
     
     // Handle identity columns
     let finalType = pgType;
+    let identityClause = '';
     if (col.isIdentity) {
-      if (pgType === 'BIGINT') {
-        finalType = 'BIGSERIAL';
-      } else if (pgType === 'SMALLINT') {
-        finalType = 'SMALLSERIAL';
-      } else {
-        finalType = 'SERIAL';
+      const identity = getIdentityDefinition(col, pgType);
+      finalType = identity.type;
+      identityClause = ` ${identity.clause}`;
+      constraints.push(identity.clause);
+      
+      if (identity.warning) {
+        logger.warning('IDENTITY', `Identity column "${fullTableName}.${col.name}": ${identity.warning}`);
+        stats.warnings++;
+      }
+    } else if (col.userTypeName && !col.typeOverride) {
+      // Columns declared with an alias type use its domain; a NOT NULL domain would reject
+      // the NULLs a column declared NULL accepts, and a domain compared differently (its
+      // collation, or a unique key checkCollationConflicts kept case-sensitive) would change
+      // how the column compares, so those keep the column's own type
+      const domain = resolveUserType(col.userTypeSchema, col.userTypeName);
+      if (domain && !domain.isNullable && col.isNullable) {
+        logger.info('TYPE_MAPPING', `Column "${fullTableName}.${col.name}" allows NULL unlike its type ${col.userTypeSchema}.${col.userTypeName}, using ${pgType}`);
+      } else if (domain && domain.targetCollation !== col.targetCollation) {
+        logger.warning('COLLATION', `Column "${fullTableName}.${col.name}" does not compare like its type ${col.userTypeSchema}.${col.userTypeName}, using ${pgType}`, {
+          'Column': col.targetCollation || 'default collation',
+          'Type': domain.targetCollation || 'default collation'
+        });
+        stats.warnings++;
+      } else if (domain) {
+        finalType = domain.name;
       }
-      constraints.push('IDENTITY/SERIAL');
+    }
+    
+    // Case- and accent-insensitive columns get a nondeterministic ICU collation (COLLATION_POLICY=icu)
+    const collateClause = col.targetCollation && col.targetCollation !== 'citext'
+      ? ` COLLATE ${escapeIdentifier('public')}.${escapeIdentifier(col.targetCollation)}`
+      : '';
+    if (collateClause) constraints.push(collateClause.trim());
+    
+    // Computed columns become stored generated columns (persisted or not in MSSQL)
+    if (col.generatedExpression) {
+      const colDef = `${escapeIdentifier(col.targetName)} ${finalType}${collateClause} GENERATED ALWAYS AS (${col.generatedExpression}) STORED`;
+      columnDefs.push(colDef);
+      logger.columnInfo(fullTableName, col.targetName, finalType, [`GENERATED ALWAYS AS (${col.generatedExpression}) STORED`]);
+      continue;
     }
     
     // NOT NULL
@@ -394,8 +1894,16 @@ async function createTable(schemaName, tableName, columns, primaryKey, uniqueCon
     
     // Default value (skip for identity columns)
     let defaultClause = '';
-    if (col.defaultValue && !col.isIdentity) {
-      const pgDefault = convertDefaultValue(col.defaultValue, pgType);
+    if (col.variantFormat && col.defaultValue && col.defaultOverride === undefined) {
+      // A default has no base type to build the JSONB object from
+      logger.warning('SQL_VARIANT', `Dropping default ${col.defaultValue} of sql_variant column "${fullTableName}.${col.name}" (set one in the mapping file)`);
+      stats.warnings++;
+    } else if (!col.isIdentity && (col.defaultOverride !== undefined || col.defaultValue)) {
+      const pgDefault = col.defaultOverride !== undefined
+        ? col.defaultOverride
+        : convertDefaultValue(col.defaultValue, pgType, {
+          mapSequence: parts => getTargetTable(parts.length > 1 ? parts[parts.length - 2] : schemaName, parts[parts.length - 1]).qualifiedName
+        });
       if (pgDefault) {
         defaultClause = ` DEFAULT ${pgDefault}`;
         constraints.push(`DEFAULT ${pgDefault}`);
@@ -403,24 +1911,32 @@ async function createTable(schemaName, tableName, columns, primaryKey, uniqueCon
     }
     
     const nullClause = (!col.isNullable && !col.isIdentity) ? ' NOT NULL' : '';
-    const colDef = `${escapeIdentifier(col.name)} ${finalType}${nullClause}${defaultClause}`;
+    const colDef = `${escapeIdentifier(col.targetName)} ${finalType}${collateClause}${identityClause}${nullClause}${defaultClause}`;
     columnDefs.push(colDef);
     
-    logger.columnInfo(fullTableName, col.name, finalType, constraints);
+    logger.columnInfo(fullTableName, col.targetName, finalType, constraints);
   }
   
   // Add primary key constraint
   if (primaryKey) {
-    const pkColumns = primaryKey.columns.map(c => escapeIdentifier(c)).join(', ');
-    const pkName = escapeIdentifier(`pk_${fullTableName}`);
+    const pkColumns = primaryKey.columns.map(c => escapeIdentifier(getTargetColumn(schemaName, tableName, c))).join(', ');
+    const pkName = escapeIdentifier(getConstraintName('pk', target, null, primaryKey.name));
     columnDefs.push(`CONSTRAINT ${pkName} PRIMARY KEY (${pkColumns})`);
-    logger.primaryKeyInfo(fullTableName, `pk_${fullTableName}`, primaryKey.columns);
+    logger.primaryKeyInfo(fullTableName, getConstraintName('pk', target, null, primaryKey.name), primaryKey.columns);
   }
   
   // Add unique constraints
   for (const uc of uniqueConstraints) {
-    const ucColumns = uc.columns.map(c => escapeIdentifier(c)).join(', ');
-    const ucName = escapeIdentifier(`uq_${fullTableName}_${uc.columns.join('_')}`);
+    const skipped = getSkippedColumns(schemaName, tableName, uc.columns);
+    if (skipped.length > 0) {
+      logger.warning('UNIQUE_CONSTRAINT', `Skipping unique constraint "${uc.name}" on table "${fullTableName}": the mapping file skips ${skipped.join(', ')}`);
+      stats.warnings++;
+      continue;
+    }
+    
+    const targetColumns = uc.columns.map(c => getTargetColumn(schemaName, tableName, c));
+    const ucColumns = targetColumns.map(c => escapeIdentifier(c)).join(', ');
+    const ucName = escapeIdentifier(getConstraintName('uq', target, targetColumns.join('_'), uc.name));
     columnDefs.push(`CONSTRAINT ${ucName} UNIQUE (${ucColumns})`);
     logger.info('UNIQUE_CONSTRAINT', `Adding unique constraint on table "${fullTableName}"`, {
       'Columns': uc.columns.join(', ')
@@ -431,7 +1947,7 @@ async function createTable(schemaName, tableName, columns, primaryKey, uniqueCon
   const createTableSQL = `CREATE TABLE IF NOT EXISTS ${pgTableName} (\n  ${columnDefs.join(',\n  ')}\n)`;
   
   try {
-    await pgPool.query(createTableSQL);
+    await executeSQL(createTableSQL);
     logger.success('TABLE_CREATION', `Successfully created table "${fullTableName}"`, {
       'Columns': columns.length,
       'Primary Key': primaryKey ? primaryKey.columns.join(', ') : 'None'
@@ -440,6 +1956,17 @@ async function createTable(schemaName, tableName, columns, primaryKey, uniqueCon
     if (primaryKey) stats.primaryKeysCreated++;
     return true;
   } catch (error) {
+    const generatedColumns = columns.filter(c => c.generatedExpression);
+    if (generatedColumns.length > 0) {
+      // PostgreSQL may still reject a translated expression; retry with plain columns
+      logger.warning('COMPUTED_COLUMN', `Table "${fullTableName}" was rejected with generated columns, retrying them as plain columns: ${error.message}`, {
+        'Columns': generatedColumns.map(c => c.name).join(', ')
+      });
+      stats.warnings++;
+      generatedColumns.forEach(c => { c.generatedExpression = null; });
+      return createTable(schemaName, tableName, columns, primaryKey, uniqueConstraints);
+    }
+    
     logger.error('TABLE_CREATION', `Failed to create table "${fullTableName}": ${error.message}`, {
       'SQL': createTableSQL.substring(0, 500)
     });
@@ -448,6 +1975,288 @@ async function createTable(schemaName, tableName, columns, primaryKey, uniqueCon
   }
 }
 
+// PostgreSQL sequence types for the MSSQL sequence types; decimal/numeric sequences become BIGINT
+const SEQUENCE_TYPES = {
+  tinyint: 'SMALLINT',
+  smallint: 'SMALLINT',
+  int: 'INTEGER',
+  bigint: 'BIGINT',
+  decimal: 'BIGINT',
+  numeric: 'BIGINT'
+};
+
+/**
+ * Bounds of a sequence in PostgreSQL: decimal(38,0) sequences can exceed BIGINT,
+ * so their bounds are clamped to it
+ * @returns {{minimum: bigint, maximum: bigint, clamped: boolean}}
+ */
+function getSequenceBounds(sequence) {
+  const [typeMin, typeMax] = IDENTITY_TYPE_RANGES.BIGINT.map(BigInt);
+  const minimum = BigInt(sequence.minimumValue);
+  const maximum = BigInt(sequence.maximumValue);
+  return {
+    minimum: minimum < typeMin ? typeMin : minimum,
+    maximum: maximum > typeMax ? typeMax : maximum,
+    clamped: minimum < typeMin || maximum > typeMax
+  };
+}
+
+/**
+ * Create sequence objects in PostgreSQL
+ * The current values are carried over after the data load (see setSequenceValues).
+ */
+async function createSequences(sequences) {
+  if (sequences.length === 0) return;
+  logger.info('SEQUENCE_CREATION', `Creating ${sequences.length} sequences...`);
+  
+  for (const sequence of sequences) {
+    const target = getTargetTable(sequence.schema_name, sequence.name);
+    const type = SEQUENCE_TYPES[sequence.dataType.toLowerCase()] || 'BIGINT';
+    
+    const { minimum, maximum, clamped } = getSequenceBounds(sequence);
+    if (clamped) {
+      logger.warning('SEQUENCE_CREATION', `Sequence "${target.displayName}" exceeds the BIGINT range, limiting it to BIGINT`, {
+        'Minimum': sequence.minimumValue,
+        'Maximum': sequence.maximumValue
+      });
+      stats.warnings++;
+    }
+    
+    // A start outside the clamped bounds moves to the nearest bound
+    let start = BigInt(sequence.startValue);
+    if (start < minimum || start > maximum) {
+      start = start < minimum ? minimum : maximum;
+      logger.warning('SEQUENCE_CREATION', `Sequence "${target.displayName}" starts outside the BIGINT range, starting it at ${start}`, {
+        'Start': sequence.startValue
+      });
+      stats.warnings++;
+    }
+    
+    // MSSQL caches 50 values when no size is given; PostgreSQL caches per session, so only explicit sizes are kept
+    const cache = sequence.isCached && sequence.cacheSize ? sequence.cacheSize : 1;
+    const createSequenceSQL = `CREATE SEQUENCE IF NOT EXISTS ${target.qualifiedName} AS ${type} ` +
+      `START WITH ${start} INCREMENT BY ${sequence.increment} ` +
+      `MINVALUE ${minimum} MAXVALUE ${maximum} CACHE ${cache} ${sequence.isCycling ? 'CYCLE' : 'NO CYCLE'}`;
+    
+    try {
+      await executeSQL(createSequenceSQL);
+      logger.success('SEQUENCE_CREATION', `Successfully created sequence "${target.displayName}"`, {
+        'Type': type,
+        'Start': start.toString(),
+        'Increment': sequence.increment,
+        'Cycle': sequence.isCycling ? 'Yes' : 'No'
+      });
+      stats.sequencesCreated++;
+    } catch (error) {
+      logger.error('SEQUENCE_CREATION', `Failed to create sequence "${target.displayName}": ${error.message}`, {
+        'SQL': createSequenceSQL
+      });
+      stats.errors++;
+    }
+  }
+}
+
+/**
+ * Carry the current values of MSSQL sequences over to PostgreSQL
+ * Sequences that were never used keep their start value.
+ */
+async function setSequenceValues(sequences) {
+  for (const sequence of sequences) {
+    if (sequence.lastValue === null) continue;
+    
+    const target = getTargetTable(sequence.schema_name, sequence.name);
+    const sequenceLiteral = `'${target.qualifiedName.replace(/'/g, "''")}'`;
+    
+    const { minimum, maximum } = getSequenceBounds(sequence);
+    const lastValue = BigInt(sequence.lastValue);
+    if (lastValue < minimum || lastValue > maximum) {
+      logger.warning('SEQUENCE_RESET', `Sequence "${target.displayName}" is at ${sequence.lastValue}, outside the BIGINT range, keeping its start value`);
+      stats.warnings++;
+      continue;
+    }
+    
+    try {
+      await executeSQL(`SELECT setval(${sequenceLiteral}, ${sequence.lastValue}, true)`);
+      logger.info('SEQUENCE_RESET', `Sequence "${target.displayName}" continues after ${sequence.lastValue}`);
+    } catch (error) {
+      logger.warning('SEQUENCE_RESET', `Could not set the current value of sequence "${target.displayName}": ${error.message}`);
+      stats.warnings++;
+    }
+  }
+}
+
+/**
+ * Translate the rule bound to an alias type ("CREATE RULE r AS @value > 0") into a domain CHECK
+ * @returns {{sql: string|null, reason: string|null}}
+ */
+function translateTypeRule(definition) {
+  const match = definition.match(/^\s*CREATE\s+RULE\s+(?:\[[^\]]*\]|[^\s.]+)(?:\.(?:\[[^\]]*\]|[^\s.]+))?\s+AS\s+([\s\S]+)$/i);
+  if (!match) {
+    return { sql: null, reason: 'could not parse the rule definition' };
+  }
+  
+  // The rule's only variable stands for the checked value
+  const translation = translateExpression(match[1].trim(), { mapVariable: () => 'VALUE' });
+  if (!translation.complete) {
+    return { sql: null, reason: `unsupported constructs: ${translation.unsupported.join(', ')}` };
+  }
+  return { sql: translation.sql, reason: null };
+}
+
+/**
+ * Create a type, ignoring it when a previous run already created it
+ * CREATE DOMAIN and CREATE TYPE have no IF NOT EXISTS.
+ */
+function createTypeStatement(statement) {
+  return `DO $$ BEGIN\n  ${statement};\nEXCEPTION WHEN duplicate_object THEN NULL;\nEND $$`;
+}
+
+/**
+ * Find what already holds a type name in PostgreSQL
+ * @returns {Promise<string|null>} domain or composite for types an earlier run may have created,
+ *   table for the row type of a table, view or other relation, type for anything else
+ */
+async function getExistingTypeKind(target) {
+  if (runOptions.dryRun) return null;
+  
+  const result = await pgPool.query(`
+    SELECT t.typtype, c.relkind
+    FROM pg_type t
+    INNER JOIN pg_namespace n ON n.oid = t.typnamespace
+    LEFT JOIN pg_class c ON c.oid = t.typrelid
+    WHERE n.nspname = $1 AND t.typname = $2
+  `, [target.schema, target.name]);
+  if (result.rows.length === 0) return null;
+  
+  const { typtype, relkind } = result.rows[0];
+  if (typtype === 'd') return 'domain';
+  if (typtype === 'c') return relkind === 'c' ? 'composite' : 'table';
+  return 'type';
+}
+
+/**
+ * Create domains for alias types and composite types for table types in PostgreSQL
+ * A type whose name is taken by a migrated table or by another kind of object is not
+ * created: routines would bind to the other object's type instead.
+ */
+async function createUserDefinedTypes(types, tables) {
+  if (types.length === 0) return;
+  logger.info('TYPE_CREATION', `Creating ${types.length} user-defined types...`);
+  
+  const tableNames = new Set(tables.map(t => getTargetTable(t.schema_name, t.table_name).displayName));
+  
+  for (const type of types) {
+    const target = getTargetTable(type.schema_name, type.name);
+    
+    if (type.isAssemblyType) {
+      logger.warning('TYPE_CREATION', `Skipping CLR type "${type.schema_name}.${type.name}": CLR types cannot be migrated`);
+      stats.warnings++;
+      continue;
+    }
+    
+    const expectedKind = type.isTableType ? 'composite' : 'domain';
+    const existingKind = tableNames.has(target.displayName) ? 'table' : await getExistingTypeKind(target);
+    if (existingKind && existingKind !== expectedKind) {
+      logger.error('TYPE_CREATION', `Cannot create type "${target.displayName}" for "${type.schema_name}.${type.name}": the name is taken by a ${existingKind}`);
+      stats.errors++;
+      // Columns using the type keep their base type and routines do not bind to the other object
+      type.nameTaken = true;
+      continue;
+    }
+    
+    let createTypeSQL;
+    const details = {};
+    if (type.isTableType) {
+      const attributes = type.columns.map(c =>
+        `${escapeIdentifier(mapTargetIdentifier(c.name))} ${mapDataType(c.dataType, c.maxLength, c.precision, c.scale)}`);
+      createTypeSQL = `CREATE TYPE ${target.qualifiedName} AS (${attributes.join(', ')})`;
+      details['Kind'] = 'Composite type (table type)';
+      details['Attributes'] = type.columns.map(c => c.name).join(', ');
+    } else {
+      // Case- and accent-insensitive alias types get the column treatment of COLLATION_POLICY
+      const targetCollation = getTargetCollation(type.collationName);
+      const baseType = targetCollation === 'citext'
+        ? 'CITEXT'
+        : mapDataType(type.dataType, type.maxLength, type.precision, type.scale);
+      const constraints = [];
+      if (targetCollation && targetCollation !== 'citext') {
+        constraints.push(`COLLATE ${escapeIdentifier('public')}.${escapeIdentifier(targetCollation)}`);
+      }
+      if (!type.isNullable) constraints.push('NOT NULL');
+      
+      if (type.ruleDefinition) {
+        const rule = translateTypeRule(type.ruleDefinition);
+        if (rule.sql) {
+          constraints.push(`CHECK (${rule.sql})`);
+        } else {
+          logger.warning('TYPE_CREATION', `Rule bound to type "${type.schema_name}.${type.name}" was not migrated: ${rule.reason}`, {
+            'Rule': type.ruleDefinition
+          });
+          stats.warnings++;
+        }
+      }
+      
+      createTypeSQL = `CREATE DOMAIN ${target.qualifiedName} AS ${baseType}${constraints.map(c => ` ${c}`).join('')}`;
+      details['Kind'] = 'Domain (alias type)';
+      details['Base Type'] = baseType;
+      details['Constraints'] = constraints.join(' ') || 'None';
+    }
+    
+    try {
+      await executeSQL(createTypeStatement(createTypeSQL));
+      logger.success('TYPE_CREATION', `Successfully created type "${target.displayName}"`, details);
+      stats.typesCreated++;
+    } catch (error) {
+      logger.error('TYPE_CREATION', `Failed to create type "${target.displayName}": ${error.message}`, {
+        'SQL': createTypeSQL.substring(0, 500)
+      });
+      stats.errors++;
+    }
+  }
+}
+
+/**
+ * Resolve a user-defined type to its PostgreSQL domain or composite type
+ * @param {string|null} schemaName - Type schema; null resolves against defaultSchema, then dbo
+ * @returns {{name: string, isTableType: boolean, isNullable: boolean, targetCollation: string|null}|null}
+ */
+function resolveUserType(schemaName, typeName, defaultSchema = 'dbo') {
+  const candidates = schemaName ? [schemaName] : [defaultSchema, 'dbo'];
+  for (const candidate of candidates) {
+    const type = userDefinedTypes.get(`${candidate}.${typeName}`.toLowerCase());
+    if (type && !type.isAssemblyType && !type.nameTaken) {
+      return {
+        name: getTargetTable(type.schema_name, type.name).qualifiedName,
+        isTableType: type.isTableType,
+        isNullable: type.isNullable,
+        targetCollation: getTargetCollation(type.collationName)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Install the hierarchyid compatibility functions (see hierarchy.js) when a
+ * migrated table has a hierarchyid column, for ltree or text path columns
+ */
+async function createHierarchyFunctions(tableMetadata) {
+  const hasHierarchyColumns = [...tableMetadata.values()].some(m => m.columns.some(c => c.hierarchyFormat));
+  if (!hasHierarchyColumns) return;
+  
+  logger.info('HIERARCHYID', `Creating hierarchyid compatibility functions for ${ltreeAvailable ? 'ltree' : 'text path'} columns`);
+  for (const statement of getHierarchyFunctions(ltreeAvailable, escapeIdentifier('public'))) {
+    try {
+      await executeSQL(statement);
+    } catch (error) {
+      logger.error('HIERARCHYID', `Failed to create hierarchyid compatibility function: ${error.message}`, {
+        'SQL': statement.substring(0, 500)
+      });
+      stats.errors++;
+    }
+  }
+}
+
 /**
  * Create foreign keys in PostgreSQL
  */
@@ -456,21 +2265,36 @@ async function createForeignKeys(foreignKeys) {
   logger.info('FK_CREATION', `Creating ${foreignKeys.length} foreign key constraints...`);
   
   for (const fk of foreignKeys) {
-    const sourceTable = `${fk.tableSchema}_${fk.tableName}`;
-    const targetTable = `${fk.referencedSchema}_${fk.referencedTable}`;
-    const fkName = escapeIdentifier(`fk_${sourceTable}_${fk.columns.join('_')}`);
+    const source = getTargetTable(fk.tableSchema, fk.tableName);
+    const target = getTargetTable(fk.referencedSchema, fk.referencedTable);
+    const sourceTable = source.displayName;
+    const targetTable = target.displayName;
+    
+    const skipped = [
+      ...getSkippedColumns(fk.tableSchema, fk.tableName, fk.columns),
+      ...getSkippedColumns(fk.referencedSchema, fk.referencedTable, fk.referencedColumns)
+    ];
+    if (skipped.length > 0) {
+      logger.warning('FK_CREATION', `Skipping foreign key "${fk.name}" on table "${sourceTable}": the mapping file skips ${skipped.join(', ')}`);
+      stats.warnings++;
+      continue;
+    }
+    
+    const fkColumns = fk.columns.map(c => getTargetColumn(fk.tableSchema, fk.tableName, c));
+    const referencedColumns = fk.referencedColumns.map(c => getTargetColumn(fk.referencedSchema, fk.referencedTable, c));
+    const fkName = escapeIdentifier(getConstraintName('fk', source, fkColumns.join('_'), fk.name));
     
-    const sourceColumns = fk.columns.map(c => escapeIdentifier(c)).join(', ');
-    const targetColumns = fk.referencedColumns.map(c => escapeIdentifier(c)).join(', ');
+    const sourceColumns = fkColumns.map(c => escapeIdentifier(c)).join(', ');
+    const targetColumns = referencedColumns.map(c => escapeIdentifier(c)).join(', ');
     
     const deleteAction = convertReferentialAction(fk.deleteAction);
     const updateAction = convertReferentialAction(fk.updateAction);
     
     const alterSQL = `
-      ALTER TABLE ${escapeIdentifier(sourceTable)}
+      ALTER TABLE ${source.qualifiedName}
       ADD CONSTRAINT ${fkName}
       FOREIGN KEY (${sourceColumns})
-      REFERENCES ${escapeIdentifier(targetTable)} (${targetColumns})
+      REFERENCES ${target.qualifiedName} (${targetColumns})
       ON DELETE ${deleteAction}
       ON UPDATE ${updateAction}
     `;
@@ -479,7 +2303,7 @@ async function createForeignKeys(foreignKeys) {
       `${fk.columns.join(', ')} -> ${fk.referencedColumns.join(', ')}`);
     
     try {
-      await pgPool.query(alterSQL);
+      await executeSQL(alterSQL);
       logger.success('FK_CREATION', `Successfully created foreign key "${fkName.replace(/"/g, '')}" on table "${sourceTable}"`, {
         'References': `${targetTable}(${fk.referencedColumns.join(', ')})`,
         'On Delete': deleteAction,
@@ -497,237 +2321,2312 @@ async function createForeignKeys(foreignKeys) {
 }
 
 /**
- * Get row count for a table
+ * Translation options naming the columns with an ICU collation (COLLATION_POLICY=icu)
+ * PostgreSQL rejects LIKE and SIMILAR TO under nondeterministic collations, so the
+ * translator matches these columns under the default collation.
  */
-async function getRowCount(schemaName, tableName) {
-  const query = `SELECT COUNT(*) as count FROM [${schemaName}].[${tableName}]`;
-  const result = await mssqlPool.request().query(query);
-  return result.recordset[0].count;
+function getCollationTranslationOptions(columns) {
+  const collated = columns.filter(c => c.targetCollation && c.targetCollation !== 'citext');
+  return {
+    nondeterministicColumns: collated.map(c => c.name),
+    caseInsensitiveColumns: collated.filter(c => c.targetCollation !== ICU_COLLATIONS.accent.name).map(c => c.name)
+  };
+}
+
+/**
+ * Build expression translation options from a table's columns
+ */
+function getTranslationOptions(columns) {
+  const characterTypes = ['char', 'varchar', 'nchar', 'nvarchar', 'text', 'ntext'];
+  const targetNames = new Map(columns.map(c => [c.name.toLowerCase(), c.targetName]));
+  
+  return {
+    booleanColumns: columns.filter(c => c.dataType.toLowerCase() === 'bit').map(c => c.name),
+    stringColumns: columns.filter(c => characterTypes.includes(c.dataType.toLowerCase())).map(c => c.name),
+    ...getCollationTranslationOptions(columns),
+    mapIdentifier: name => targetNames.get(name.toLowerCase()) || mapTargetIdentifier(name)
+  };
+}
+
+/**
+ * Create non-constraint indexes for a table in PostgreSQL
+ */
+async function createIndexes(schemaName, tableName, indexes, columns) {
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  const columnsByName = new Map(columns.map(c => [c.name, c]));
+  
+  for (const index of indexes) {
+    // Index names are only unique per table in MSSQL, so they always get the table prefix
+    const indexName = getConstraintName('ix', target, index.name);
+    
+    if (index.isDisabled && !MIGRATE_DISABLED_INDEXES) {
+      logger.info('INDEX_CREATION', `Skipping disabled index "${index.name}" on table "${fullTableName}"`);
+      continue;
+    }
+    
+    const skipped = getSkippedColumns(schemaName, tableName, [...index.columns.map(c => c.name), ...index.includedColumns]);
+    if (skipped.length > 0 || (index.filter && referencesSkippedColumn(schemaName, tableName, index.filter))) {
+      logger.warning('INDEX_CREATION', `Skipping index "${index.name}" on table "${fullTableName}": it uses a column the mapping file skips`, {
+        'Columns': [...index.columns.map(c => c.name), ...index.includedColumns].join(', '),
+        'Filter': index.filter || 'None'
+      });
+      stats.warnings++;
+      continue;
+    }
+    
+    // Spatial indexes become GiST indexes, which need the PostGIS column types
+    if (index.isSpatial && !postgisAvailable) {
+      logger.warning('INDEX_CREATION', `Skipping spatial index "${index.name}" on table "${fullTableName}": the columns are migrated as WKT text without PostGIS`);
+      stats.warnings++;
+      continue;
+    }
+    
+    // Non-unique indexes on ltree columns also become GiST indexes, which support
+    // the ancestor and descendant operators; GiST has no sort order or uniqueness
+    const isHierarchyIndex = !index.isUnique && index.columns.every(c => {
+      const col = columnsByName.get(c.name);
+      return col && col.hierarchyFormat === 'ltree';
+    });
+    const useGist = index.isSpatial || isHierarchyIndex;
+    
+    const keyColumns = index.columns
+      .map(c => `${escapeIdentifier(getTargetColumn(schemaName, tableName, c.name))}${c.descending && !useGist ? ' DESC' : ''}`)
+      .join(', ');
+    const includeClause = index.includedColumns.length > 0
+      ? ` INCLUDE (${index.includedColumns.map(c => escapeIdentifier(getTargetColumn(schemaName, tableName, c))).join(', ')})`
+      : '';
+    
+    let whereClause = '';
+    if (index.filter) {
+      const translation = translateExpression(index.filter, getTranslationOptions(columns));
+      if (!translation.complete) {
+        logger.warning('INDEX_CREATION', `Skipping filtered index "${index.name}" on table "${fullTableName}": filter could not be translated`, {
+          'Original Filter': index.filter,
+          'Partial Translation': translation.sql,
+          'Unsupported': translation.unsupported.join(', ')
+        });
+        stats.warnings++;
+        continue;
+      }
+      whereClause = ` WHERE ${translation.sql}`;
+    }
+    
+    const createIndexSQL = `CREATE ${index.isUnique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${escapeIdentifier(indexName)} ` +
+      `ON ${target.qualifiedName}${useGist ? ' USING GIST' : ''} (${keyColumns})${includeClause}${whereClause}`;
+    
+    logger.indexInfo(fullTableName, indexName, index.columns.map(c => c.name), {
+      'Unique': index.isUnique ? 'Yes' : 'No',
+      'Method': index.isSpatial ? 'GiST (spatial)' : isHierarchyIndex ? 'GiST (ltree)' : 'B-tree',
+      'Included Columns': index.includedColumns.length > 0 ? index.includedColumns.join(', ') : 'None',
+      'Filter': index.filter || 'None',
+      'Disabled In Source': index.isDisabled ? 'Yes' : 'No'
+    });
+    
+    try {
+      await executeSQL(createIndexSQL);
+      logger.success('INDEX_CREATION', `Successfully created index "${indexName}" on table "${fullTableName}"`);
+      stats.indexesCreated++;
+    } catch (error) {
+      logger.error('INDEX_CREATION', `Failed to create index "${indexName}" on table "${fullTableName}": ${error.message}`, {
+        'SQL': createIndexSQL.substring(0, 500)
+      });
+      stats.errors++;
+    }
+  }
+}
+
+/**
+ * Create CHECK constraints for a table in PostgreSQL
+ * Runs after the data load; constraints that cannot be fully translated are
+ * created NOT VALID or skipped depending on CHECK_CONSTRAINT_FALLBACK.
+ */
+async function createCheckConstraints(schemaName, tableName, checkConstraints, columns) {
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  
+  for (const check of checkConstraints) {
+    const constraintName = getConstraintName('ck', target, check.name, check.name);
+    
+    if (check.isDisabled) {
+      logger.warning('CHECK_CONSTRAINT', `Skipping check constraint "${check.name}" on table "${fullTableName}": it is disabled in MSSQL`, {
+        'Definition': check.clause
+      });
+      stats.warnings++;
+      continue;
+    }
+    
+    if (referencesSkippedColumn(schemaName, tableName, check.clause)) {
+      logger.warning('CHECK_CONSTRAINT', `Skipping check constraint "${check.name}" on table "${fullTableName}": it uses a column the mapping file skips`, {
+        'Definition': check.clause
+      });
+      stats.warnings++;
+      continue;
+    }
+    
+    const translation = translateExpression(check.clause, getTranslationOptions(columns));
+    
+    if (!translation.complete) {
+      logger.warning('CHECK_CONSTRAINT', `Check constraint "${check.name}" on table "${fullTableName}" could not be fully translated`, {
+        'Original': check.clause,
+        'Partial Translation': translation.sql,
+        'Unsupported': translation.unsupported.join(', '),
+        'Action': CHECK_CONSTRAINT_FALLBACK === 'skip' ? 'Skipped' : 'Created NOT VALID'
+      });
+      stats.warnings++;
+      
+      if (CHECK_CONSTRAINT_FALLBACK === 'skip') continue;
+    }
+    
+    // Untrusted MSSQL constraints were never validated against existing rows either
+    const notValid = !translation.complete || check.isNotTrusted;
+    const alterSQL = `ALTER TABLE ${target.qualifiedName} ADD CONSTRAINT ${escapeIdentifier(constraintName)} ` +
+      `CHECK (${translation.sql})${notValid ? ' NOT VALID' : ''}`;
+    
+    try {
+      await executeSQL(alterSQL);
+      logger.success('CHECK_CONSTRAINT', `Successfully created check constraint "${constraintName}" on table "${fullTableName}"`, {
+        'Check': translation.sql,
+        'Validated': notValid ? 'No (NOT VALID)' : 'Yes'
+      });
+      stats.checkConstraintsCreated++;
+    } catch (error) {
+      if (translation.complete) {
+        logger.error('CHECK_CONSTRAINT', `Failed to create check constraint "${constraintName}" on table "${fullTableName}": ${error.message}`, {
+          'SQL': alterSQL.substring(0, 500)
+        });
+        stats.errors++;
+      } else {
+        logger.warning('CHECK_CONSTRAINT', `Partially translated check constraint "${constraintName}" was rejected by PostgreSQL: ${error.message}`, {
+          'Original': check.clause,
+          'Partial Translation': translation.sql
+        });
+        stats.warnings++;
+      }
+    }
+  }
+}
+
+/**
+ * Build a resolver from MSSQL object name parts to qualified PostgreSQL names
+ * Single-part names resolve against the referencing object's schema first, then dbo.
+ */
+function createObjectNameResolver(objects, defaultSchema) {
+  const targets = new Map();
+  for (const obj of objects) {
+    targets.set(`${obj.schema_name}.${obj.name}`.toLowerCase(), getTargetTable(obj.schema_name, obj.name).qualifiedName);
+  }
+  
+  return (parts) => {
+    if (parts.length === 1) {
+      return targets.get(`${defaultSchema}.${parts[0]}`.toLowerCase()) ||
+        targets.get(`dbo.${parts[0]}`.toLowerCase()) || null;
+    }
+    const [schema, name] = parts.slice(-2);
+    return targets.get(`${schema}.${name}`.toLowerCase()) || null;
+  };
+}
+
+/**
+ * Sort views so that views referencing other views are created after them
+ */
+function sortViewsByDependencies(views) {
+  const viewsByName = new Map(views.map(v => [`${v.schema_name}.${v.view_name}`.toLowerCase(), v]));
+  const sorted = [];
+  const visited = new Set();
+  
+  function visit(key, path) {
+    if (visited.has(key) || path.has(key)) return;
+    path.add(key);
+    
+    const view = viewsByName.get(key);
+    for (const dep of view.dependencies) {
+      if (viewsByName.has(dep)) visit(dep, path);
+    }
+    
+    path.delete(key);
+    visited.add(key);
+    sorted.push(view);
+  }
+  
+  for (const key of viewsByName.keys()) {
+    visit(key, new Set());
+  }
+  
+  return sorted;
+}
+
+/**
+ * Translate and create views in PostgreSQL
+ * Views that cannot be translated or created are collected in a report
+ * together with their original definitions so they can be fixed by hand.
+ */
+async function createViews(views, tables, tableMetadata) {
+  logger.info('VIEW_CREATION', `Creating ${views.length} views...`);
+  
+  // Views only see column names, so a name is collated if it is in any migrated table
+  const collationOptions = getCollationTranslationOptions([...tableMetadata.values()].flatMap(m => m.columns));
+  const objects = [
+    ...tables.map(t => ({ schema_name: t.schema_name, name: t.table_name })),
+    ...views.map(v => ({ schema_name: v.schema_name, name: v.view_name }))
+  ];
+  const failures = [];
+  
+  for (const view of sortViewsByDependencies(views)) {
+    const target = getTargetTable(view.schema_name, view.view_name);
+    const parsed = view.definition ? parseViewDefinition(view.definition) : null;
+    
+    if (!parsed) {
+      const reason = view.definition ? 'Could not parse the view definition' : 'Definition is not available (encrypted view)';
+      logger.warning('VIEW_CREATION', `Skipping view "${target.displayName}": ${reason}`);
+      failures.push({ view, target, reason, sql: null });
+      stats.viewsFailed++;
+      stats.warnings++;
+      continue;
+    }
+    
+    const translation = translateQuery(parsed.body, {
+      ...collationOptions,
+      mapTable: createObjectNameResolver(objects, view.schema_name),
+      mapIdentifier: mapTargetIdentifier
+    });
+    const columnList = parsed.columns ? ` (${parsed.columns.map(c => escapeIdentifier(mapTargetIdentifier(c))).join(', ')})` : '';
+    const createViewSQL = `CREATE OR REPLACE VIEW ${target.qualifiedName}${columnList} AS
+${translation.sql}`;
+    
+    if (!translation.complete) {
+      logger.warning('VIEW_CREATION', `View "${target.displayName}" could not be fully translated`, {
+        'Unsupported': translation.unsupported.join(', ')
+      });
+      failures.push({ view, target, reason: `Unsupported constructs: ${translation.unsupported.join(', ')}`, sql: createViewSQL });
+      stats.viewsFailed++;
+      stats.warnings++;
+      continue;
+    }
+    
+    try {
+      await executeSQL(createViewSQL);
+      logger.success('VIEW_CREATION', `Successfully created view "${target.displayName}"`);
+      stats.viewsCreated++;
+    } catch (error) {
+      logger.error('VIEW_CREATION', `Failed to create view "${target.displayName}": ${error.message}`);
+      failures.push({ view, target, reason: error.message, sql: createViewSQL });
+      stats.viewsFailed++;
+      stats.errors++;
+    }
+  }
+  
+  if (failures.length > 0) {
+    const report = failures.map(f => [
+      `-- ${'='.repeat(76)}`,
+      `-- View:   ${f.view.schema_name}.${f.view.view_name} -> ${f.target.displayName}`,
+      `-- Reason: ${f.reason}`,
+      `-- ${'='.repeat(76)}`,
+      '',
+      '-- Translation attempt:',
+      f.sql ? `${f.sql};` : '-- (none)',
+      '',
+      '/* Original MSSQL definition:',
+      f.view.definition || '(not available)',
+      '*/',
+      ''
+    ].join('\n')).join('\n');
+    
+    const reportPath = logger.writeReport('view_report', report, 'sql');
+    logger.warning('VIEW_CREATION', `${failures.length} views need manual attention`, {
+      'Report': reportPath
+    });
+  }
+}
+
+/**
+ * Convert stored procedures and functions into PL/pgSQL drafts
+ * Every draft is written to ROUTINES_OUTPUT_DIR; with APPLY_ROUTINES enabled,
+ * drafts that converted without TODO markers are also created in PostgreSQL.
+ */
+async function convertRoutines(routines, tables, views) {
+  logger.info('ROUTINE_CONVERSION', `Converting ${routines.length} stored procedures and functions...`);
+  
+  fs.mkdirSync(ROUTINES_OUTPUT_DIR, { recursive: true });
+  
+  const objects = [
+    ...tables.map(t => ({ schema_name: t.schema_name, name: t.table_name })),
+    ...views.map(v => ({ schema_name: v.schema_name, name: v.view_name }))
+  ];
+  const routineObjects = routines.map(r => ({ schema_name: r.schema_name, name: r.name }));
+  
+  for (const routine of routines) {
+    const target = getTargetTable(routine.schema_name, routine.name);
+    const { sql: draft, todos } = convertRoutine({
+      schemaName: routine.schema_name,
+      name: routine.name,
+      type: routine.type,
+      definition: routine.definition,
+      qualifiedName: target.qualifiedName,
+      parameters: routine.parameters,
+      returnType: routine.returnType,
+      resultColumns: routine.resultColumns
+    }, {
+      mapTable: createObjectNameResolver(objects, routine.schema_name),
+      mapFunction: createObjectNameResolver(routineObjects, routine.schema_name),
+      mapIdentifier: mapTargetIdentifier,
+      mapUserType: (schemaName, typeName) => resolveUserType(schemaName, typeName, routine.schema_name)
+    });
+    
+    const draftPath = path.join(ROUTINES_OUTPUT_DIR, `${routine.schema_name}.${routine.name}.sql`);
+    fs.writeFileSync(draftPath, draft);
+    stats.routinesConverted++;
+    
+    if (todos.length > 0) {
+      logger.warning('ROUTINE_CONVERSION', `Routine "${target.displayName}" needs manual review`, {
+        'TODO Markers': todos.length,
+        'Draft': draftPath
+      });
+      stats.routinesNeedingReview++;
+      stats.warnings++;
+      continue;
+    }
+    
+    if (!APPLY_ROUTINES) {
+      logger.success('ROUTINE_CONVERSION', `Converted routine "${target.displayName}"`, {
+        'Draft': draftPath
+      });
+      continue;
+    }
+    
+    try {
+      await executeSQL(draft);
+      logger.success('ROUTINE_CONVERSION', `Successfully created routine "${target.displayName}"`);
+      stats.routinesApplied++;
+    } catch (error) {
+      logger.error('ROUTINE_CONVERSION', `Failed to create routine "${target.displayName}": ${error.message}`, {
+        'Draft': draftPath
+      });
+      stats.routinesNeedingReview++;
+      stats.errors++;
+    }
+  }
+  
+  logger.info('ROUTINE_CONVERSION', `Routine drafts written to ${ROUTINES_OUTPUT_DIR}`);
+}
+
+/**
+ * Convert and create DML triggers in PostgreSQL
+ * Runs after the data load so the triggers do not fire for migrated rows.
+ * Triggers that need manual work are collected in a report instead.
+ */
+async function createTriggers(triggers, tables, views, routines) {
+  logger.info('TRIGGER_CREATION', `Creating ${triggers.length} triggers...`);
+  
+  const objects = [
+    ...tables.map(t => ({ schema_name: t.schema_name, name: t.table_name })),
+    ...views.map(v => ({ schema_name: v.schema_name, name: v.view_name }))
+  ];
+  const parents = new Set(objects.map(o => `${o.schema_name}.${o.name}`.toLowerCase()));
+  const routineObjects = routines.map(r => ({ schema_name: r.schema_name, name: r.name }));
+  const failures = [];
+  
+  for (const trigger of triggers) {
+    const table = getTargetTable(trigger.schema_name, trigger.table_name);
+    const displayName = `${trigger.name} on ${table.displayName}`;
+    
+    if (!parents.has(`${trigger.schema_name}.${trigger.table_name}`.toLowerCase())) {
+      logger.warning('TRIGGER_CREATION', `Skipping trigger "${displayName}": parent object was not migrated`);
+      stats.warnings++;
+      continue;
+    }
+    
+    const functionTarget = getTargetTable(trigger.schema_name, trigger.name);
+    const { sql: triggerSQL, todos } = convertTrigger({
+      schemaName: trigger.schema_name,
+      name: trigger.name,
+      definition: trigger.definition,
+      events: trigger.events,
+      isInsteadOf: trigger.isInsteadOf,
+      isDisabled: trigger.isDisabled,
+      qualifiedTable: table.qualifiedName,
+      functionSchema: functionTarget.schema,
+      functionName: functionTarget.name
+    }, {
+      mapTable: createObjectNameResolver(objects, trigger.schema_name),
+      mapFunction: createObjectNameResolver(routineObjects, trigger.schema_name),
+      mapIdentifier: mapTargetIdentifier,
+      mapUserType: (schemaName, typeName) => resolveUserType(schemaName, typeName, trigger.schema_name)
+    });
+    
+    if (todos.length > 0) {
+      logger.warning('TRIGGER_CREATION', `Trigger "${displayName}" needs manual review`, {
+        'TODO Markers': todos.length
+      });
+      failures.push({ trigger, displayName, reason: `${todos.length} TODO markers`, sql: triggerSQL });
+      stats.triggersFailed++;
+      stats.warnings++;
+      continue;
+    }
+    
+    try {
+      await executeSQL(triggerSQL);
+      logger.success('TRIGGER_CREATION', `Successfully created trigger "${displayName}"`, {
+        'Events': trigger.events.join(', '),
+        'Status': trigger.isDisabled ? 'disabled' : 'enabled'
+      });
+      stats.triggersCreated++;
+    } catch (error) {
+      logger.error('TRIGGER_CREATION', `Failed to create trigger "${displayName}": ${error.message}`);
+      failures.push({ trigger, displayName, reason: error.message, sql: triggerSQL });
+      stats.triggersFailed++;
+      stats.errors++;
+    }
+  }
+  
+  if (failures.length > 0) {
+    const report = failures.map(f => [
+      `-- ${'='.repeat(76)}`,
+      `-- Trigger: ${f.trigger.schema_name}.${f.trigger.name} -> ${f.displayName}`,
+      `-- Reason:  ${f.reason}`,
+      `-- ${'='.repeat(76)}`,
+      '',
+      f.sql,
+      '/* Original MSSQL definition:',
+      f.trigger.definition || '(not available)',
+      '*/',
+      ''
+    ].join('\n')).join('\n');
+    
+    const reportPath = logger.writeReport('trigger_report', report, 'sql');
+    logger.warning('TRIGGER_CREATION', `${failures.length} triggers need manual attention`, {
+      'Report': reportPath
+    });
+  }
+}
+
+/**
+ * Get row count for a table
+ */
+async function getRowCount(schemaName, tableName) {
+  const query = `SELECT COUNT(*) as count FROM ${getSourceRelation(schemaName, tableName)}`;
+  const result = await mssqlPool.request().query(query);
+  return result.recordset[0].count;
+}
+
+/**
+ * Convert a value read from MSSQL into a parameter for the INSERT loader
+ */
+function convertInsertValue(value, col) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  
+  // Spatial values read as SRID + WKB are passed as hex EWKB
+  if (col.spatialFormat === 'ewkb' && Buffer.isBuffer(value)) {
+    return toEwkbHex(value);
+  }
+  // hierarchyid paths become ltree labels; keys read back from PostgreSQL already are
+  if (col.hierarchyFormat === 'ltree' && typeof value === 'string' && value.startsWith('/')) {
+    return toLtreePath(value);
+  }
+  if (col.variantFormat === 'jsonb' && typeof value === 'string') {
+    return formatVariantJson(value);
+  }
+  // Convert Buffer to hex string for bytea
+  if (Buffer.isBuffer(value)) {
+    return '\\x' + value.toString('hex');
+  }
+  // Convert Date objects
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  // Handle boolean conversion from bit
+  if (col.dataType.toLowerCase() === 'bit') {
+    return value === true || value === 1;
+  }
+  
+  return value;
+}
+
+/**
+ * Write a batch of rows with one parameterized INSERT per row
+ */
+async function insertBatch(client, pgTableName, insertColumns, columns, rows) {
+  const placeholders = columns.map((col, i) => `$${i + 1}`).join(', ');
+  const insertQuery = `INSERT INTO ${pgTableName} (${insertColumns}) VALUES (${placeholders})`;
+  
+  for (const row of rows) {
+    const values = columns.map(col => convertInsertValue(row[col.name], col));
+    await client.query(insertQuery, values);
+  }
+}
+
+/**
+ * Write a batch of rows through COPY ... FROM STDIN in text format
+ */
+async function copyBatch(client, pgTableName, insertColumns, columns, rows) {
+  const copyStream = client.query(copyFrom(`COPY ${pgTableName} (${insertColumns}) FROM STDIN`));
+  
+  function* lines() {
+    for (const row of rows) {
+      yield formatCopyRow(row, columns);
+    }
+  }
+  
+  await pipeline(Readable.from(lines()), copyStream);
+}
+
+// Key column types whose JS values lose precision; keyset paging reads them back as exact strings
+const EXACT_KEY_CONVERSIONS = {
+  'decimal': col => `CAST(${col} AS NVARCHAR(100))`,
+  'numeric': col => `CAST(${col} AS NVARCHAR(100))`,
+  'money': col => `CONVERT(NVARCHAR(100), ${col}, 2)`,
+  'smallmoney': col => `CONVERT(NVARCHAR(100), ${col}, 2)`,
+  'float': col => `CONVERT(NVARCHAR(100), ${col}, 3)`,
+  'hierarchyid': col => `${col}.ToString()`,
+  'real': col => `CONVERT(NVARCHAR(100), ${col}, 3)`,
+  'datetime2': col => `CONVERT(NVARCHAR(100), ${col}, 121)`,
+  'datetimeoffset': col => `CONVERT(NVARCHAR(100), ${col}, 121)`,
+  'time': col => `CONVERT(NVARCHAR(100), ${col}, 121)`
+};
+
+/**
+ * Pick the columns used for keyset pagination: the primary key, otherwise
+ * the first unique constraint without nullable columns
+ * @returns {Array<Object>|null} Key columns in order, or null for heap-style tables
+ */
+function getBatchKey(columns, primaryKey, uniqueConstraints) {
+  const columnsByName = new Map(columns.map(c => [c.name, c]));
+  const candidates = [
+    ...(primaryKey ? [primaryKey] : []),
+    ...uniqueConstraints
+  ];
+  
+  for (const candidate of candidates) {
+    const keyColumns = candidate.columns.map(name => columnsByName.get(name));
+    if (keyColumns.every(c => c && !c.isNullable)) {
+      return keyColumns;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get the mssql parameter type used to pass a keyset value back to MSSQL
+ */
+function getKeyParameterType(col) {
+  switch (col.dataType.toLowerCase()) {
+    // Passed as text: bigint values beyond 2^53 cannot be sent as JS numbers
+    case 'bigint': return sql.VarChar(30);
+    case 'int': return sql.Int;
+    case 'smallint': return sql.SmallInt;
+    case 'tinyint': return sql.TinyInt;
+    case 'bit': return sql.Bit;
+    case 'uniqueidentifier': return sql.UniqueIdentifier;
+    case 'date': return sql.Date;
+    case 'datetime': return sql.DateTime;
+    case 'smalldatetime': return sql.SmallDateTime;
+    case 'char':
+    case 'varchar': return sql.VarChar(sql.MAX);
+    case 'nchar':
+    case 'nvarchar': return sql.NVarChar(sql.MAX);
+    case 'binary':
+    case 'varbinary': return sql.VarBinary(sql.MAX);
+    // Paths, converted back with keyParameter
+    case 'hierarchyid': return sql.NVarChar(4000);
+    default: return sql.NVarChar(100);
+  }
+}
+
+/**
+ * Reference a keyset parameter in MSSQL, converting it back where it was passed as text
+ */
+function keyParameter(col, name) {
+  return col.dataType.toLowerCase() === 'hierarchyid' ? `CAST(@${name} AS hierarchyid)` : `@${name}`;
+}
+
+/**
+ * Read a table in batches using keyset pagination on the given key columns
+ * Each query continues after the last key of the previous batch, so batches
+ * stay cheap on large tables and rows are never skipped or read twice.
+ * Composite keys use the OR-expansion of (a, b) > (@a, @b), which MSSQL lacks.
+ * @param {Object} range - Optional limits: after (key values to start after),
+ *   upTo (inclusive upper bound for a single-column key)
+ */
+async function* readKeysetBatches(schemaName, tableName, selectColumns, keyColumns, range = {}) {
+  const keySelect = keyColumns.map((c, i) => {
+    const convert = EXACT_KEY_CONVERSIONS[c.dataType.toLowerCase()];
+    return `${convert ? convert(`[${c.name}]`) : `[${c.name}]`} AS [__keyset_${i}]`;
+  }).join(', ');
+  const orderBy = keyColumns.map(c => `[${c.name}]`).join(', ');
+  const keysetCondition = keyColumns.map((c, i) => {
+    const equalities = keyColumns.slice(0, i).map((prev, j) => `[${prev.name}] = ${keyParameter(prev, `k${j}`)}`);
+    return `(${[...equalities, `[${c.name}] > ${keyParameter(c, `k${i}`)}`].join(' AND ')})`;
+  }).join(' OR ');
+  
+  const hasUpperBound = range.upTo !== undefined && range.upTo !== null;
+  let lastKey = range.after || null;
+  
+  while (true) {
+    const request = mssqlPool.request();
+    const conditions = [];
+    if (lastKey) {
+      keyColumns.forEach((c, i) => request.input(`k${i}`, getKeyParameterType(c), lastKey[i]));
+      conditions.push(`(${keysetCondition})`);
+    }
+    if (hasUpperBound) {
+      request.input('upTo', getKeyParameterType(keyColumns[0]), range.upTo);
+      conditions.push(`[${keyColumns[0].name}] <= ${keyParameter(keyColumns[0], 'upTo')}`);
+    }
+    
+    const selectQuery = `
+      SELECT TOP (${runOptions.batchSize}) ${selectColumns}, ${keySelect}
+      FROM ${getSourceRelation(schemaName, tableName)}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${orderBy}
+    `;
+    
+    const result = await request.query(selectQuery);
+    const rows = result.recordset;
+    if (rows.length === 0) return;
+    
+    yield rows;
+    
+    if (rows.length < runOptions.batchSize) return;
+    const lastRow = rows[rows.length - 1];
+    lastKey = keyColumns.map((c, i) => lastRow[`__keyset_${i}`]);
+  }
+}
+
+/**
+ * Read a table without a usable key in one streamed query, grouped into batches
+ */
+function readStreamedBatches(schemaName, tableName, selectColumns) {
+  return streamQueryBatches(mssqlPool.request(), `SELECT ${selectColumns} FROM ${getSourceRelation(schemaName, tableName)}`);
+}
+
+/**
+ * Run a query as a stream and yield its rows in batches
+ * The request is paused while batches are waiting to be written to PostgreSQL.
+ * @param {sql.Request} request - Request with its inputs already bound
+ */
+async function* streamQueryBatches(request, query) {
+  request.stream = true;
+  
+  const ready = [];
+  let batch = [];
+  let done = false;
+  let failure = null;
+  let wake = null;
+  
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+  
+  request.on('row', row => {
+    batch.push(row);
+    if (batch.length >= runOptions.batchSize) {
+      ready.push(batch);
+      batch = [];
+      request.pause();
+      notify();
+    }
+  });
+  request.on('error', error => {
+    failure = error;
+    notify();
+  });
+  request.on('done', () => {
+    if (batch.length > 0) ready.push(batch);
+    batch = [];
+    done = true;
+    notify();
+  });
+  
+  request.query(query);
+  
+  try {
+    while (true) {
+      if (failure) throw failure;
+      
+      if (ready.length > 0) {
+        yield ready.shift();
+        if (ready.length === 0 && !done) request.resume();
+        continue;
+      }
+      
+      if (done) return;
+      await new Promise(resolve => { wake = resolve; });
+    }
+  } finally {
+    if (!done) request.cancel();
+  }
+}
+
+// Key types that can be split into chunks
+const INTEGER_KEY_TYPES = new Set(['bigint', 'int', 'smallint', 'tinyint']);
+const DATE_KEY_TYPES = new Set(['date', 'datetime', 'datetime2', 'smalldatetime']);
+
+/**
+ * Check whether a table can be split into key-range chunks
+ */
+function isChunkable(batchKey) {
+  if (!batchKey || batchKey.length !== 1) return false;
+  const type = batchKey[0].dataType.toLowerCase();
+  return INTEGER_KEY_TYPES.has(type) || DATE_KEY_TYPES.has(type);
+}
+
+/**
+ * Compute the inner boundaries splitting a table into key-range chunks
+ * Boundary values use the same representation as keyset values read by
+ * readKeysetBatches, so they can be passed back with getKeyParameterType.
+ * @returns {Array} Up to chunkCount - 1 strictly increasing boundaries
+ */
+async function getChunkBoundaries(schemaName, tableName, keyColumn, chunkCount) {
+  const type = keyColumn.dataType.toLowerCase();
+  const column = `[${keyColumn.name}]`;
+  let boundaries = [];
+  
+  if (CHUNK_STRATEGY === 'ntile') {
+    const convert = EXACT_KEY_CONVERSIONS[type];
+    const query = `
+      SELECT ${convert ? convert(`MAX(${column})`) : `MAX(${column})`} as boundary
+      FROM (
+        SELECT ${column}, NTILE(${chunkCount}) OVER (ORDER BY ${column}) as tile
+        FROM ${getSourceRelation(schemaName, tableName)}
+      ) tiles
+      GROUP BY tile
+      ORDER BY tile
+    `;
+    const result = await mssqlPool.request().query(query);
+    boundaries = result.recordset.slice(0, -1).map(r => r.boundary);
+  } else if (INTEGER_KEY_TYPES.has(type)) {
+    const query = `
+      SELECT CAST(MIN(${column}) AS VARCHAR(30)) as minKey, CAST(MAX(${column}) AS VARCHAR(30)) as maxKey
+      FROM ${getSourceRelation(schemaName, tableName)}
+    `;
+    const result = await mssqlPool.request().query(query);
+    const min = BigInt(result.recordset[0].minKey);
+    const max = BigInt(result.recordset[0].maxKey);
+    
+    for (let i = 1; i < chunkCount; i++) {
+      const boundary = min + ((max - min) * BigInt(i)) / BigInt(chunkCount);
+      boundaries.push(type === 'bigint' ? boundary.toString() : Number(boundary));
+    }
+  } else {
+    const query = `
+      SELECT MIN(${column}) as minKey, MAX(${column}) as maxKey
+      FROM ${getSourceRelation(schemaName, tableName)}
+    `;
+    const result = await mssqlPool.request().query(query);
+    const min = result.recordset[0].minKey.getTime();
+    const max = result.recordset[0].maxKey.getTime();
+    
+    for (let i = 1; i < chunkCount; i++) {
+      const boundary = new Date(min + Math.floor(((max - min) * i) / chunkCount));
+      // datetime2 keys are compared as text (see EXACT_KEY_CONVERSIONS)
+      boundaries.push(type === 'datetime2' ? boundary.toISOString().replace('T', ' ').slice(0, 23) : boundary);
+    }
+  }
+  
+  // Small key ranges can produce the same boundary twice
+  const seen = new Set();
+  return boundaries.filter(b => {
+    const key = b instanceof Date ? b.toISOString() : String(b);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Write one batch of rows to PostgreSQL in its own transaction
+ */
+async function writeBatch(pgTableName, insertColumns, columns, rows) {
+  const client = await pgPool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    if (LOAD_MODE === 'copy') {
+      await copyBatch(client, pgTableName, insertColumns, columns, rows);
+    } else {
+      await insertBatch(client, pgTableName, insertColumns, columns, rows);
+    }
+    
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Count the leading rows of a batch that the target already holds
+ * The checkpoint is written after a batch commits, so a run interrupted in between
+ * resumes one batch early. Batches commit as a whole and are read in key order,
+ * so the rows already loaded are always the first ones of the batch.
+ */
+async function countLoadedRows(pgTableName, batchKey, rows) {
+  const keyColumns = batchKey.map(c => escapeIdentifier(c.targetName)).join(', ');
+  let loaded = 0;
+  
+  for (let start = 0; start < rows.length; start += 1000) {
+    const slice = rows.slice(start, start + 1000);
+    const values = [];
+    const keys = slice.map(row => `(${batchKey.map(c => {
+      values.push(convertInsertValue(row[c.name], c));
+      return `$${values.length}`;
+    }).join(', ')})`);
+    
+    const result = await pgPool.query(`SELECT COUNT(*) AS count FROM ${pgTableName} WHERE (${keyColumns}) IN (${keys.join(', ')})`, values);
+    loaded += Number(result.rows[0].count);
+  }
+  
+  return loaded;
+}
+
+/**
+ * Load a large table as parallel key-range chunks
+ * Every chunk reads its range with keyset pagination on its own connections.
+ * A failed chunk is retried from its last committed batch, so rows are never
+ * loaded twice; the table only counts as done when every chunk has finished.
+ * @returns {Promise<number>} Number of rows migrated
+ */
+async function migrateTableChunks(schemaName, tableName, columns, batchKey, totalRows) {
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  const insertColumns = columns.map(c => escapeIdentifier(c.targetName)).join(', ');
+  const selectColumns = selectSourceColumns(columns);
+  
+  const tableKey = `${schemaName}.${tableName}`;
+  
+  // Chunks of an interrupted run keep their ranges and continue after their last committed key
+  // Chunks whose next batch may already have been loaded before the checkpoint was written
+  const resumedChunks = new Set();
+  let chunks = checkpoint.getTable(tableKey).chunks;
+  if (chunks) {
+    logger.info('CHECKPOINT', `Resuming ${chunks.filter(c => !c.done).length} unfinished chunks of "${fullTableName}"`);
+    chunks.filter(c => !c.done).forEach(c => resumedChunks.add(c.number));
+  } else {
+    const boundaries = await getChunkBoundaries(schemaName, tableName, batchKey[0], CHUNK_COUNT);
+    chunks = [...boundaries, null].map((upTo, i) => ({
+      number: i + 1,
+      after: i === 0 ? null : [boundaries[i - 1]],
+      upTo,
+      rowsMigrated: 0,
+      done: false
+    }));
+    checkpoint.updateTable(tableKey, { chunks });
+    
+    logger.info('DATA_MIGRATION', `Splitting "${fullTableName}" into ${chunks.length} chunks on [${batchKey[0].name}] (${CHUNK_STRATEGY})`);
+  }
+  
+  const startTime = Date.now();
+  const resumedRows = chunks.reduce((sum, c) => sum + c.rowsMigrated, 0);
+  let totalMigrated = resumedRows;
+  
+  const runChunk = async (chunk) => {
+    const batches = readKeysetBatches(schemaName, tableName, selectColumns, batchKey, chunk);
+    
+    for await (const rows of batches) {
+      // A resumed chunk may start with rows committed after its last checkpoint
+      const loaded = resumedChunks.has(chunk.number) ? await countLoadedRows(target.qualifiedName, batchKey, rows) : 0;
+      if (loaded < rows.length) resumedChunks.delete(chunk.number);
+      if (loaded > 0) {
+        logger.info('CHECKPOINT', `Skipping ${loaded} rows of chunk ${chunk.number} of "${fullTableName}" loaded after the last checkpoint`);
+      }
+      if (loaded < rows.length) {
+        await writeBatch(target.qualifiedName, insertColumns, columns, rows.slice(loaded));
+      }
+      
+      // Resume point for a retry or a resumed run: everything up to this key is committed
+      chunk.after = [rows[rows.length - 1].__keyset_0];
+      chunk.rowsMigrated += rows.length;
+      chunk.batchNumber = (chunk.batchNumber || 0) + 1;
+      totalMigrated += rows.length;
+      checkpoint.updateTable(tableKey, { chunks, rowsMigrated: totalMigrated });
+      
+      const elapsedSeconds = Math.max((Date.now() - startTime) / 1000, 0.001);
+      logger.migrationProgress(fullTableName, totalMigrated, totalRows, chunk.batchNumber, {
+        'Chunk': `${chunk.number}/${chunks.length} (${chunk.rowsMigrated} rows)`,
+        'Mode': LOAD_MODE.toUpperCase(),
+        'Rate': `${Math.round((totalMigrated - resumedRows) / elapsedSeconds)} rows/s`
+      });
+    }
+  };
+  
+  const results = await Promise.allSettled(chunks.filter(c => !c.done).map(async (chunk) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await runChunk(chunk);
+        chunk.done = true;
+        checkpoint.updateTable(tableKey, { chunks });
+        logger.success('DATA_MIGRATION', `Chunk ${chunk.number}/${chunks.length} of "${fullTableName}" finished`, {
+          'Rows': chunk.rowsMigrated
+        });
+        return;
+      } catch (error) {
+        if (attempt > CHUNK_RETRIES) throw error;
+        logger.warning('DATA_MIGRATION', `Chunk ${chunk.number}/${chunks.length} of "${fullTableName}" failed, retrying (${attempt}/${CHUNK_RETRIES}): ${error.message}`);
+        stats.warnings++;
+        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+      }
+    }
+  }));
+  
+  // Rows of finished chunks stay committed even if another chunk failed
+  stats.totalRowsMigrated += totalMigrated - resumedRows;
+  
+  const failed = results.filter(r => r.status === 'rejected');
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${chunks.length} chunks failed: ${failed[0].reason.message}`);
+  }
+  
+  return totalMigrated;
+}
+
+/**
+ * Migrate data for a single table
+ * @param {Array<Object>|null} batchKey - Key columns for keyset pagination (see getBatchKey)
+ */
+async function migrateTableData(schemaName, tableName, columns, batchKey) {
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  const pgTableName = target.qualifiedName;
+  
+  const tableKey = `${schemaName}.${tableName}`;
+  const progress = checkpoint.getTable(tableKey);
+  
+  if (progress.status === 'done') {
+    logger.info('CHECKPOINT', `Table "${fullTableName}" was migrated in an earlier run, skipping`, {
+      'Rows': progress.rowsMigrated
+    });
+    return true;
+  }
+  
+  logger.info('DATA_MIGRATION', `Starting data migration for table "${fullTableName}"...`);
+  
+  try {
+    // Get total row count
+    const totalRows = await getRowCount(schemaName, tableName);
+    
+    if (totalRows === 0) {
+      logger.info('DATA_MIGRATION', `Table "${fullTableName}" is empty, skipping data migration`);
+      checkpoint.completeTable(tableKey, 0);
+      return true;
+    }
+    
+    logger.info('DATA_MIGRATION', `Table "${fullTableName}" has ${totalRows} rows to migrate`);
+    
+    // Generated columns are computed by PostgreSQL and cannot be inserted into
+    columns = columns.filter(c => !c.generatedExpression);
+    
+    // Large tables are loaded as parallel key-range chunks
+    if (totalRows >= CHUNK_ROW_THRESHOLD && CHUNK_COUNT > 1 && isChunkable(batchKey)) {
+      const chunkedRows = await migrateTableChunks(schemaName, tableName, columns, batchKey, totalRows);
+      checkpoint.completeTable(tableKey, chunkedRows);
+      logger.success('DATA_MIGRATION', `Successfully migrated all data for table "${fullTableName}"`, {
+        'Total Rows': chunkedRows
+      });
+      return true;
+    }
+    
+    // Build column list for SELECT and INSERT
+    const selectColumns = selectSourceColumns(columns);
+    const insertColumns = columns.map(c => escapeIdentifier(c.targetName)).join(', ');
+    
+    // Migrate data in batches: keyset pagination when the table has a usable key,
+    // otherwise a single streamed read
+    const startTime = Date.now();
+    let batchNumber = 0;
+    let totalMigrated = 0;
+    
+    let batches;
+    if (batchKey) {
+      logger.info('DATA_MIGRATION', `Reading "${fullTableName}" with keyset pagination on (${batchKey.map(c => c.name).join(', ')})`);
+      
+      // Continue after the last batch committed by an earlier run
+      if (progress.lastKey) {
+        totalMigrated = progress.rowsMigrated;
+        logger.info('CHECKPOINT', `Resuming table "${fullTableName}" after ${totalMigrated} rows`);
+      }
+      batches = readKeysetBatches(schemaName, tableName, selectColumns, batchKey, { after: progress.lastKey });
+    } else {
+      logger.warning('DATA_MIGRATION', `Table "${fullTableName}" has no primary key or non-nullable unique constraint, streaming it in a single read`);
+      stats.warnings++;
+      
+      // Without a key there is no resume point: remove the partial load and start over
+      // (batches may have committed before the first checkpoint was written)
+      if (runOptions.resume) {
+        logger.warning('CHECKPOINT', `Table "${fullTableName}" may be partially loaded and has no key to resume from, reloading it`);
+        stats.warnings++;
+        await pgPool.query(`DELETE FROM ${pgTableName}`);
+      }
+      batches = readStreamedBatches(schemaName, tableName, selectColumns);
+    }
+    
+    const resumedRows = totalMigrated;
+    
+    // A resumed table may start with rows committed after its last checkpoint
+    let checkLoaded = runOptions.resume && batchKey !== null;
+    
+    for await (const rows of batches) {
+      batchNumber++;
+      
+      const loaded = checkLoaded ? await countLoadedRows(pgTableName, batchKey, rows) : 0;
+      checkLoaded = loaded === rows.length;
+      if (loaded > 0) {
+        logger.info('CHECKPOINT', `Skipping ${loaded} rows of "${fullTableName}" loaded after the last checkpoint`);
+      }
+      if (loaded < rows.length) {
+        await writeBatch(pgTableName, insertColumns, columns, rows.slice(loaded));
+      }
+      totalMigrated += rows.length;
+      
+      const lastRow = rows[rows.length - 1];
+      checkpoint.updateTable(tableKey, {
+        rowsMigrated: totalMigrated,
+        lastKey: batchKey ? batchKey.map((c, i) => lastRow[`__keyset_${i}`]) : null
+      });
+      
+      const elapsedSeconds = Math.max((Date.now() - startTime) / 1000, 0.001);
+      logger.migrationProgress(fullTableName, totalMigrated, totalRows, batchNumber, {
+        'Mode': LOAD_MODE.toUpperCase(),
+        'Rate': `${Math.round((totalMigrated - resumedRows) / elapsedSeconds)} rows/s`
+      });
+    }
+    
+    logger.success('DATA_MIGRATION', `Successfully migrated all data for table "${fullTableName}"`, {
+      'Total Rows': totalMigrated
+    });
+    
+    checkpoint.completeTable(tableKey, totalMigrated);
+    stats.totalRowsMigrated += totalMigrated - resumedRows;
+    return true;
+    
+  } catch (error) {
+    logger.error('DATA_MIGRATION', `Failed to migrate data for table "${fullTableName}": ${error.message}`);
+    stats.errors++;
+    return false;
+  }
+}
+
+/**
+ * Reset identity sequences after data migration
+ * The next value continues after IDENT_CURRENT from MSSQL, or after the highest
+ * migrated value (lowest for descending identities) if that is further along.
+ */
+async function resetSequences(schemaName, tableName, columns) {
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  const tableLiteral = `'${target.qualifiedName.replace(/'/g, "''")}'`;
+  
+  for (const col of columns) {
+    if (col.isIdentity) {
+      try {
+        const descending = BigInt(col.identityIncrement || '1') < 0n;
+        const current = col.identityCurrent || 'NULL';
+        
+        // pg_get_serial_sequence parses its first argument as a (quoted) qualified name and
+        // takes the column name literally. A single statement so that it also works when
+        // replayed from a dry-run script.
+        const columnLiteral = `'${col.targetName.replace(/'/g, "''")}'`;
+        const extreme = `${descending ? 'MIN' : 'MAX'}(${escapeIdentifier(col.targetName)})`;
+        const lastValue = `${descending ? 'LEAST' : 'GREATEST'}(${extreme}, ${current})`;
+        const resetQuery = `SELECT setval(pg_get_serial_sequence(${tableLiteral}, ${columnLiteral}), ` +
+          `COALESCE(${lastValue}, ${col.identitySeed || 1}), ${lastValue} IS NOT NULL) AS last_value, ` +
+          `${lastValue} IS NOT NULL AS is_called FROM ${target.qualifiedName}`;
+        
+        const result = await executeSQL(resetQuery);
+        if (result) {
+          const { last_value: value, is_called: isCalled } = result.rows[0];
+          logger.info('SEQUENCE_RESET', isCalled
+            ? `Reset identity of "${fullTableName}.${col.targetName}" to continue after ${value}`
+            : `Reset identity of "${fullTableName}.${col.targetName}" to start at ${value}`);
+        }
+      } catch (error) {
+        logger.warning('SEQUENCE_RESET', `Could not reset sequence for "${fullTableName}.${col.name}": ${error.message}`);
+        stats.warnings++;
+      }
+    }
+  }
+}
+
+// Column types whose MIN/MAX are compared during verification
+const RANGE_STATISTIC_TYPES = new Set([
+  ...INTEGER_KEY_TYPES, ...DATE_KEY_TYPES,
+  'decimal', 'numeric', 'money', 'smallmoney', 'float', 'real', 'datetimeoffset', 'time'
+]);
+
+// Dates and timestamps are read from PostgreSQL as text, so pg does not shift them into the local time zone
+const VERIFICATION_TEXT_TYPES = new Set([1082, 1114]);
+const verificationTypes = {
+  getTypeParser: (oid, format) => VERIFICATION_TEXT_TYPES.has(oid) ? (value => value) : pgTypes.getTypeParser(oid, format)
+};
+
+/**
+ * Format a key value as text that MSSQL and PostgreSQL both compare the same way
+ */
+function formatKeyValue(value) {
+  return value instanceof Date ? value.toISOString().replace('T', ' ').slice(0, 23) : String(value);
+}
+
+/**
+ * Format a key value as a PostgreSQL literal; the column type decides how it is compared
+ */
+function formatKeyLiteral(value) {
+  return `'${formatKeyValue(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Compare row counts, per-column NULL counts and MIN/MAX of numeric and date columns
+ * @returns {Promise<{rowCount: {mssql: number, pg: number}, differences: Array<string>}>}
+ */
+async function compareColumnStatistics(schemaName, tableName, columns) {
+  const target = getTargetTable(schemaName, tableName);
+  const mssqlSelect = ['COUNT_BIG(*) AS row_count'];
+  const pgSelect = ['COUNT(*) AS row_count'];
+  
+  columns.forEach((col, i) => {
+    const pgColumn = escapeIdentifier(col.targetName);
+    mssqlSelect.push(`SUM(CAST(CASE WHEN [${col.name}] IS NULL THEN 1 ELSE 0 END AS BIGINT)) AS nulls_${i}`);
+    pgSelect.push(`COUNT(*) - COUNT(${pgColumn}) AS nulls_${i}`);
+    
+    if (RANGE_STATISTIC_TYPES.has(col.dataType.toLowerCase())) {
+      const aggregate = name => EXACT_NUMERIC_TYPES.has(col.dataType.toLowerCase())
+        ? selectExactNumeric(`${name}([${col.name}])`, col)
+        : `${name}([${col.name}])`;
+      mssqlSelect.push(`${aggregate('MIN')} AS min_${i}`, `${aggregate('MAX')} AS max_${i}`);
+      pgSelect.push(`MIN(${pgColumn}) AS min_${i}`, `MAX(${pgColumn}) AS max_${i}`);
+    }
+  });
+  
+  const mssqlResult = await mssqlPool.request().query(`SELECT ${mssqlSelect.join(', ')} FROM ${getSourceRelation(schemaName, tableName)}`);
+  const pgResult = await pgPool.query({
+    text: `SELECT ${pgSelect.join(', ')} FROM ${target.qualifiedName}`,
+    types: verificationTypes
+  });
+  const source = mssqlResult.recordset[0];
+  const destination = pgResult.rows[0];
+  
+  const rowCount = { mssql: Number(source.row_count), pg: Number(destination.row_count) };
+  const differences = [];
+  if (rowCount.mssql !== rowCount.pg) {
+    differences.push(`Row count: MSSQL ${rowCount.mssql}, PostgreSQL ${rowCount.pg}`);
+  }
+  
+  columns.forEach((col, i) => {
+    const sourceNulls = Number(source[`nulls_${i}`] || 0);
+    const destinationNulls = Number(destination[`nulls_${i}`] || 0);
+    if (sourceNulls !== destinationNulls) {
+      differences.push(`NULL count of "${col.name}": MSSQL ${sourceNulls}, PostgreSQL ${destinationNulls}`);
+    }
+    
+    for (const aggregate of ['min', 'max']) {
+      if (!(`${aggregate}_${i}` in source)) continue;
+      const sourceValue = normalizeValue(source[`${aggregate}_${i}`], col);
+      const destinationValue = normalizeValue(destination[`${aggregate}_${i}`], col);
+      if (sourceValue !== destinationValue) {
+        differences.push(`${aggregate.toUpperCase()} of "${col.name}": MSSQL ${sourceValue}, PostgreSQL ${destinationValue}`);
+      }
+    }
+  });
+  
+  return { rowCount, differences };
+}
+
+/**
+ * Split a table into the key ranges that are checksummed separately
+ * Tables without a single-column numeric or date key are compared as a whole,
+ * since MSSQL and PostgreSQL may order other key types differently.
+ * @returns {Promise<Array<{lower: *, upper: *}>>} Ranges lower < key <= upper (null = unbounded)
+ */
+async function getVerificationRanges(schemaName, tableName, batchKey, totalRows) {
+  const chunkCount = Math.ceil(totalRows / VERIFY_CHUNK_ROWS);
+  if (chunkCount <= 1 || !isChunkable(batchKey)) {
+    return [{ lower: null, upper: null }];
+  }
+  
+  // Whole-second boundaries avoid rounding differences between datetime and timestamp
+  const boundaries = (await getChunkBoundaries(schemaName, tableName, batchKey[0], chunkCount)).map(b => {
+    if (b instanceof Date) return new Date(Math.floor(b.getTime() / 1000) * 1000);
+    return typeof b === 'string' && DATE_KEY_TYPES.has(batchKey[0].dataType.toLowerCase()) ? b.slice(0, 19) : b;
+  });
+  
+  return [null, ...boundaries].map((lower, i) => ({
+    lower,
+    upper: i < boundaries.length ? boundaries[i] : null
+  }));
+}
+
+/**
+ * Describe a verification range for the report
+ */
+function describeRange(range, batchKey) {
+  if (range.lower === null && range.upper === null) return '(entire table)';
+  
+  const column = `"${batchKey[0].name}"`;
+  const conditions = [];
+  if (range.lower !== null) conditions.push(`${column} > ${formatKeyValue(range.lower)}`);
+  if (range.upper !== null) conditions.push(`${column} <= ${formatKeyValue(range.upper)}`);
+  return conditions.join(' AND ');
+}
+
+/**
+ * Read rows of a PostgreSQL table through a cursor, in batches
+ */
+async function* readPostgresBatches(pgTableName, selectColumns, whereClause = '') {
+  const client = await pgPool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    await client.query(`DECLARE verify_cursor NO SCROLL CURSOR FOR SELECT ${selectColumns} FROM ${pgTableName}${whereClause}`);
+    
+    while (true) {
+      const result = await client.query({ text: `FETCH ${runOptions.batchSize} FROM verify_cursor`, types: verificationTypes });
+      if (result.rows.length === 0) return;
+      yield result.rows;
+    }
+  } finally {
+    // Read-only transaction, nothing to commit
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Compare one table's data in MSSQL and PostgreSQL
+ * Statistics are compared in one aggregate query per side; row contents are
+ * compared through order-independent checksums per key range.
+ */
+async function verifyTable(schemaName, tableName, columns, batchKey) {
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  
+  logger.info('VERIFICATION', `Verifying table "${fullTableName}"...`);
+  
+  try {
+    const { rowCount, differences } = await compareColumnStatistics(schemaName, tableName, columns);
+    const ranges = await getVerificationRanges(schemaName, tableName, batchKey, rowCount.mssql);
+    
+    const mssqlColumns = selectSourceColumns(columns, null, true);
+    const pgColumns = selectTargetColumns(columns);
+    const mismatchedRanges = [];
+    
+    for (const range of ranges) {
+      const wholeTable = range.lower === null && range.upper === null;
+      
+      const source = createChecksum();
+      const sourceBatches = wholeTable
+        ? readStreamedBatches(schemaName, tableName, mssqlColumns)
+        : readKeysetBatches(schemaName, tableName, mssqlColumns, batchKey, {
+          after: range.lower === null ? null : [range.lower],
+          upTo: range.upper
+        });
+      for await (const rows of sourceBatches) {
+        addRows(source, rows, columns);
+      }
+      
+      const conditions = [];
+      if (range.lower !== null) conditions.push(`${escapeIdentifier(batchKey[0].targetName)} > ${formatKeyLiteral(range.lower)}`);
+      if (range.upper !== null) conditions.push(`${escapeIdentifier(batchKey[0].targetName)} <= ${formatKeyLiteral(range.upper)}`);
+      
+      const destination = createChecksum();
+      const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+      for await (const rows of readPostgresBatches(target.qualifiedName, pgColumns, whereClause)) {
+        addRows(destination, rows, columns);
+      }
+      
+      if (source.rows !== destination.rows || source.sum !== destination.sum) {
+        mismatchedRanges.push({ range: describeRange(range, batchKey), source, destination });
+      }
+    }
+    
+    stats.tablesVerified++;
+    const matches = differences.length === 0 && mismatchedRanges.length === 0;
+    
+    if (matches) {
+      logger.success('VERIFICATION', `Table "${fullTableName}" matches`, {
+        'Rows': rowCount.mssql,
+        'Key Ranges': ranges.length
+      });
+    } else {
+      logger.error('VERIFICATION', `Table "${fullTableName}" does not match`, {
+        'Rows': `MSSQL ${rowCount.mssql}, PostgreSQL ${rowCount.pg}`,
+        'Statistic Differences': differences.length,
+        'Mismatched Key Ranges': `${mismatchedRanges.length} of ${ranges.length}`
+      });
+      stats.verificationMismatches++;
+      stats.errors++;
+    }
+    
+    return { fullTableName, matches, rowCount, differences, ranges: ranges.length, mismatchedRanges };
+  } catch (error) {
+    logger.error('VERIFICATION', `Failed to verify table "${fullTableName}": ${error.message}`);
+    stats.verificationMismatches++;
+    stats.errors++;
+    return { fullTableName, matches: false, error: error.message };
+  }
+}
+
+/**
+ * Verify all tables and write the verification report
+ */
+async function verifyTables(tables, tableMetadata) {
+  logger.info('VERIFICATION', `Comparing ${tables.length} tables between MSSQL and PostgreSQL...`);
+  
+  const results = new Map();
+  await runTableWorkers(tables, new Map(), async (table) => {
+    const key = `${table.schema_name}.${table.table_name}`;
+    const metadata = tableMetadata.get(key);
+    const batchKey = getBatchKey(metadata.columns, metadata.primaryKey, metadata.uniqueConstraints);
+    results.set(key, await verifyTable(table.schema_name, table.table_name, metadata.columns, batchKey));
+  });
+  
+  const ordered = tables.map(t => results.get(`${t.schema_name}.${t.table_name}`)).filter(Boolean);
+  const mismatched = ordered.filter(r => !r.matches);
+  
+  const lines = [
+    '='.repeat(80),
+    '                    MSSQL TO POSTGRESQL DATA VERIFICATION',
+    '='.repeat(80),
+    `  Log ID:           ${logger.logId}`,
+    `  Tables Verified:  ${ordered.length}`,
+    `  Matching:         ${ordered.length - mismatched.length}`,
+    `  Not Matching:     ${mismatched.length}`,
+    `  Chunk Size:       ${VERIFY_CHUNK_ROWS} rows`,
+    '='.repeat(80),
+    ''
+  ];
+  
+  for (const result of ordered) {
+    if (result.error) {
+      lines.push(`[FAILED]    ${result.fullTableName}: ${result.error}`);
+      continue;
+    }
+    
+    lines.push(`[${result.matches ? 'MATCH' : 'MISMATCH'}]${result.matches ? '   ' : ''} ${result.fullTableName} ` +
+      `(MSSQL ${result.rowCount.mssql} rows, PostgreSQL ${result.rowCount.pg} rows, ${result.ranges} key ranges)`);
+    
+    for (const difference of result.differences) {
+      lines.push(`    - ${difference}`);
+    }
+    for (const mismatch of result.mismatchedRanges) {
+      lines.push(`    - Key range ${mismatch.range}: ` +
+        `MSSQL ${mismatch.source.rows} rows (checksum ${formatChecksum(mismatch.source)}), ` +
+        `PostgreSQL ${mismatch.destination.rows} rows (checksum ${formatChecksum(mismatch.destination)})`);
+    }
+  }
+  
+  const reportPath = logger.writeReport('verification_report', lines.join('\n') + '\n');
+  const details = { 'Report': reportPath };
+  if (mismatched.length > 0) {
+    logger.warning('VERIFICATION', `${mismatched.length} of ${ordered.length} tables do not match`, details);
+  } else {
+    logger.success('VERIFICATION', `All ${ordered.length} tables match`, details);
+  }
+}
+
+/**
+ * Get the tables with SQL Server Change Tracking enabled
+ * @returns {Promise<Set<string>>} Keys "schema.table"
+ */
+async function getChangeTrackedTables() {
+  const query = `
+    SELECT s.name as schema_name, t.name as table_name
+    FROM sys.change_tracking_tables ctt
+    INNER JOIN sys.tables t ON ctt.object_id = t.object_id
+    INNER JOIN sys.schemas s ON t.schema_id = s.schema_id
+  `;
+  
+  const result = await mssqlPool.request().query(query);
+  return new Set(result.recordset.map(r => `${r.schema_name}.${r.table_name}`));
+}
+
+/**
+ * Pick how changes of a table are detected: Change Tracking when it is enabled
+ * (requires a primary key), otherwise a rowversion column with a usable key
+ * @returns {{method: string, keyColumns: Array<Object>, versionColumn?: Object}|null}
+ */
+function getSyncSource(schemaName, tableName, metadata, trackedTables) {
+  const { columns, primaryKey, uniqueConstraints } = metadata;
+  
+  if (trackedTables.has(`${schemaName}.${tableName}`) && primaryKey) {
+    const keyColumns = primaryKey.columns.map(name => columns.find(c => c.name === name));
+    return { method: 'change_tracking', keyColumns };
+  }
+  
+  const versionColumn = columns.find(c => ['rowversion', 'timestamp'].includes(c.dataType.toLowerCase()));
+  const keyColumns = getBatchKey(columns, primaryKey, uniqueConstraints);
+  if (versionColumn && keyColumns) {
+    return { method: 'rowversion', keyColumns, versionColumn };
+  }
+  
+  return null;
+}
+
+/**
+ * Get the version changes are currently committed up to
+ * Change Tracking: CHANGE_TRACKING_CURRENT_VERSION(); rowversion: MIN_ACTIVE_ROWVERSION(),
+ * below which every rowversion belongs to a committed transaction.
+ * @returns {Promise<string>} Version as a decimal string
+ */
+async function getCurrentSyncVersion(method) {
+  const expression = method === 'change_tracking'
+    ? 'CHANGE_TRACKING_CURRENT_VERSION()'
+    : 'CAST(MIN_ACTIVE_ROWVERSION() AS BIGINT)';
+  const result = await mssqlPool.request().query(`SELECT CAST(${expression} AS VARCHAR(20)) as version`);
+  return result.recordset[0].version;
+}
+
+/**
+ * Record the version each syncable table is at before the data load, so the
+ * first sync command applies every change made during and after the bulk copy
+ * @param {boolean} overwrite - Replace versions recorded by an earlier migration
+ */
+async function recordSyncBaselines(tables, tableMetadata, overwrite) {
+  try {
+    const trackedTables = await getChangeTrackedTables();
+    const syncState = SyncState.load(SYNC_STATE_FILE);
+    let recorded = 0;
+    
+    for (const table of tables) {
+      const key = `${table.schema_name}.${table.table_name}`;
+      const source = getSyncSource(table.schema_name, table.table_name, tableMetadata.get(key), trackedTables);
+      if (!source || (!overwrite && syncState.getTable(key))) continue;
+      
+      syncState.setTable(key, source.method, await getCurrentSyncVersion(source.method));
+      recorded++;
+    }
+    
+    if (recorded > 0) {
+      logger.info('SYNC', `Recorded sync baselines for ${recorded} tables`, {
+        'State File': syncState.getFilePath()
+      });
+    }
+  } catch (error) {
+    logger.warning('SYNC', `Could not record sync baselines: ${error.message}`);
+    stats.warnings++;
+  }
+}
+
+/**
+ * Read the changes after a version from CHANGETABLE, joined with the current row
+ * Rows deleted since the change have no current row and are flagged __deleted.
+ */
+function readChangeTrackingBatches(schemaName, tableName, columns, keyColumns, fromVersion) {
+  const keyJoin = keyColumns.map(c => `t.[${c.name}] = ct.[${c.name}]`).join(' AND ');
+  const keySelect = keyColumns.map((c, i) => `${selectSourceColumn(c, 'ct')} AS [__key_${i}]`).join(', ');
+  const query = `
+    DECLARE @lastVersion BIGINT = CAST(@fromVersion AS BIGINT);
+    SELECT
+      CASE WHEN t.[${keyColumns[0].name}] IS NULL THEN 1 ELSE 0 END AS [__deleted],
+      ${keySelect},
+      ${selectSourceColumns(columns, 't')}
+    FROM CHANGETABLE(CHANGES [${schemaName}].[${tableName}], @lastVersion) AS ct
+    LEFT JOIN ${getSourceRelation(schemaName, tableName, 't')} ON ${keyJoin}
+  `;
+  
+  const request = mssqlPool.request().input('fromVersion', sql.VarChar(20), fromVersion);
+  return streamQueryBatches(request, query);
+}
+
+/**
+ * Read the rows whose rowversion lies in [fromVersion, toVersion)
+ */
+function readRowversionBatches(schemaName, tableName, columns, versionColumn, fromVersion, toVersion) {
+  const query = `
+    SELECT ${selectSourceColumns(columns)}
+    FROM ${getSourceRelation(schemaName, tableName)}
+    WHERE [${versionColumn.name}] >= CONVERT(BINARY(8), CAST(@fromVersion AS BIGINT))
+      AND [${versionColumn.name}] < CONVERT(BINARY(8), CAST(@toVersion AS BIGINT))
+  `;
+  
+  const request = mssqlPool.request()
+    .input('fromVersion', sql.VarChar(20), fromVersion)
+    .input('toVersion', sql.VarChar(20), toVersion);
+  return streamQueryBatches(request, query);
+}
+
+/**
+ * Compare two keys read from either side in the order both databases sort them
+ * Only used for integer and date keys, which MSSQL and PostgreSQL order alike.
+ */
+function compareKeys(a, b, keyColumns) {
+  for (let i = 0; i < keyColumns.length; i++) {
+    const left = normalizeValue(a[i], keyColumns[i]);
+    const right = normalizeValue(b[i], keyColumns[i]);
+    if (left === right) continue;
+    if (INTEGER_KEY_TYPES.has(keyColumns[i].dataType.toLowerCase())) {
+      return BigInt(left) < BigInt(right) ? -1 : 1;
+    }
+    // Normalized dates are ISO text, which sorts chronologically
+    return left < right ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Yield the key values of each row of a batch stream
+ */
+async function* streamKeys(batches, keyColumns) {
+  for await (const rows of batches) {
+    for (const row of rows) {
+      yield keyColumns.map(c => row[c.name]);
+    }
+  }
+}
+
+/**
+ * Find the keys of PostgreSQL rows that no longer exist in MSSQL
+ * rowversion cannot see deletes, so every target key is compared with the source.
+ * Integer and date keys are read from both sides in key order (keyset pages in
+ * MSSQL, a cursor in PostgreSQL) and merged, so each side is scanned once.
+ * Other keys may sort differently in the two databases and are looked up in MSSQL
+ * instead, see findDeletedKeysByLookup.
+ * @returns {Promise<Array<Array>>} Key values of the rows to delete
+ */
+async function findDeletedKeys(schemaName, tableName, keyColumns) {
+  const mergeable = keyColumns.every(c =>
+    INTEGER_KEY_TYPES.has(c.dataType.toLowerCase()) || DATE_KEY_TYPES.has(c.dataType.toLowerCase()));
+  if (!mergeable) {
+    return findDeletedKeysByLookup(schemaName, tableName, keyColumns);
+  }
+  
+  const target = getTargetTable(schemaName, tableName);
+  const orderBy = keyColumns.map(c => escapeIdentifier(c.targetName)).join(', ');
+  const targetKeys = streamKeys(readPostgresBatches(target.qualifiedName, selectTargetColumns(keyColumns), ` ORDER BY ${orderBy}`), keyColumns);
+  const sourceKeys = streamKeys(readKeysetBatches(schemaName, tableName, selectSourceColumns(keyColumns), keyColumns), keyColumns);
+  const deletedKeys = [];
+  
+  try {
+    let source = await sourceKeys.next();
+    for await (const key of targetKeys) {
+      while (!source.done && compareKeys(source.value, key, keyColumns) < 0) {
+        source = await sourceKeys.next();
+      }
+      if (source.done || compareKeys(source.value, key, keyColumns) !== 0) {
+        deletedKeys.push(key);
+      }
+    }
+  } finally {
+    await sourceKeys.return();
+  }
+  
+  return deletedKeys;
+}
+
+/**
+ * Find deleted keys by looking the target keys up in MSSQL, in groups that stay
+ * below the MSSQL limit of 2100 parameters
+ * @returns {Promise<Array<Array>>} Key values of the rows to delete
+ */
+async function findDeletedKeysByLookup(schemaName, tableName, keyColumns) {
+  const target = getTargetTable(schemaName, tableName);
+  const pgKeyColumns = selectTargetColumns(keyColumns);
+  const groupSize = Math.floor(2000 / keyColumns.length);
+  const keyText = values => JSON.stringify(values.map((value, i) => normalizeValue(value, keyColumns[i])));
+  const deletedKeys = [];
+  
+  for await (const rows of readPostgresBatches(target.qualifiedName, pgKeyColumns)) {
+    for (let start = 0; start < rows.length; start += groupSize) {
+      const keys = rows.slice(start, start + groupSize).map(row => keyColumns.map(c => row[c.name]));
+      const request = mssqlPool.request();
+      
+      const conditions = keys.map((key, r) => `(${keyColumns.map((c, i) => {
+        // Dates arrive as text from PostgreSQL and are converted by MSSQL, as are hierarchyid paths
+        const type = DATE_KEY_TYPES.has(c.dataType.toLowerCase()) ? sql.NVarChar(100) : getKeyParameterType(c);
+        const value = c.hierarchyFormat === 'ltree' && key[i] !== null ? fromLtreePath(key[i]) : key[i];
+        request.input(`k${r}_${i}`, type, value instanceof Date ? value.toISOString() : value);
+        return `[${c.name}] = ${keyParameter(c, `k${r}_${i}`)}`;
+      }).join(' AND ')})`);
+      
+      const result = await request.query(`
+        SELECT ${selectSourceColumns(keyColumns)}
+        FROM ${getSourceRelation(schemaName, tableName)}
+        WHERE ${conditions.join(' OR ')}
+      `);
+      
+      const existing = new Set(result.recordset.map(row => keyText(keyColumns.map(c => row[c.name]))));
+      deletedKeys.push(...keys.filter(key => !existing.has(keyText(key))));
+    }
+  }
+  
+  return deletedKeys;
+}
+
+/**
+ * Insert or update a batch of rows with INSERT ... ON CONFLICT, in one transaction
+ */
+async function upsertBatch(pgTableName, columns, keyColumns, rows) {
+  const keyNames = new Set(keyColumns.map(c => c.name));
+  const insertColumns = columns.map(c => escapeIdentifier(c.targetName)).join(', ');
+  const placeholders = columns.map((col, i) => `$${i + 1}`).join(', ');
+  const conflictColumns = keyColumns.map(c => escapeIdentifier(c.targetName)).join(', ');
+  const updates = columns
+    .filter(c => !keyNames.has(c.name))
+    .map(c => `${escapeIdentifier(c.targetName)} = EXCLUDED.${escapeIdentifier(c.targetName)}`);
+  
+  const upsertQuery = `INSERT INTO ${pgTableName} (${insertColumns}) VALUES (${placeholders}) ` +
+    `ON CONFLICT (${conflictColumns}) ${updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'}`;
+  
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const row of rows) {
+      await client.query(upsertQuery, columns.map(col => convertInsertValue(row[col.name], col)));
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete rows by key, in one transaction
+ */
+async function deleteBatch(pgTableName, keyColumns, keys) {
+  const conditions = keyColumns.map((c, i) => `${escapeIdentifier(c.targetName)} = $${i + 1}`).join(' AND ');
+  const deleteQuery = `DELETE FROM ${pgTableName} WHERE ${conditions}`;
+  
+  const client = await pgPool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const key of keys) {
+      await client.query(deleteQuery, key.map((value, i) => convertInsertValue(value, keyColumns[i])));
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply the inserts and updates of one table since its last synced version
+ * Deletes are only collected here; they are applied afterwards in reverse
+ * dependency order so that child rows go before their parents.
+ * @returns {Promise<{deletedKeys: Array<Array>, version: string}>}
+ */
+async function syncTableChanges(schemaName, tableName, metadata, source, syncState) {
+  const target = getTargetTable(schemaName, tableName);
+  const fullTableName = target.displayName;
+  const tableKey = `${schemaName}.${tableName}`;
+  
+  // Generated columns are computed by PostgreSQL and cannot be written
+  const columns = metadata.columns.filter(c => !c.generatedExpression);
+  const { method, keyColumns } = source;
+  
+  const saved = syncState.getTable(tableKey);
+  const toVersion = await getCurrentSyncVersion(method);
+  let fromVersion = saved && saved.method === method ? saved.version : null;
+  
+  if (method === 'change_tracking') {
+    const result = await mssqlPool.request()
+      .input('table', sql.NVarChar, `[${schemaName}].[${tableName}]`)
+      .query(`SELECT CAST(CHANGE_TRACKING_MIN_VALID_VERSION(OBJECT_ID(@table)) AS VARCHAR(20)) as version`);
+    const minValidVersion = result.recordset[0].version;
+    
+    if (fromVersion === null) {
+      logger.warning('SYNC', `No sync baseline recorded for "${fullTableName}", applying all retained changes`, {
+        'From Version': minValidVersion
+      });
+      stats.warnings++;
+      fromVersion = minValidVersion;
+    } else if (BigInt(fromVersion) < BigInt(minValidVersion)) {
+      throw new Error(`Changes after version ${fromVersion} are no longer retained (minimum valid version ${minValidVersion}); the table must be migrated again`);
+    }
+  } else if (fromVersion === null) {
+    logger.warning('SYNC', `No sync baseline recorded for "${fullTableName}", comparing all rows`);
+    stats.warnings++;
+    fromVersion = '0';
+  }
+  
+  logger.info('SYNC', `Syncing "${fullTableName}" using ${method === 'change_tracking' ? 'Change Tracking' : `rowversion column "${source.versionColumn.name}"`}`, {
+    'From Version': fromVersion,
+    'To Version': toVersion
+  });
+  
+  const batches = method === 'change_tracking'
+    ? readChangeTrackingBatches(schemaName, tableName, columns, keyColumns, fromVersion)
+    : readRowversionBatches(schemaName, tableName, columns, source.versionColumn, fromVersion, toVersion);
+  
+  let upserted = 0;
+  const deletedKeys = [];
+  
+  for await (const rows of batches) {
+    const changedRows = rows.filter(row => !row.__deleted);
+    rows.filter(row => row.__deleted).forEach(row => {
+      deletedKeys.push(keyColumns.map((c, i) => row[`__key_${i}`]));
+    });
+    
+    if (changedRows.length > 0) {
+      await upsertBatch(target.qualifiedName, columns, keyColumns, changedRows);
+      upserted += changedRows.length;
+    }
+  }
+  
+  if (method === 'rowversion' && SYNC_DETECT_DELETES) {
+    deletedKeys.push(...await findDeletedKeys(schemaName, tableName, keyColumns));
+  }
+  
+  if (upserted > 0) {
+    await resetSequences(schemaName, tableName, metadata.columns);
+  }
+  
+  stats.rowsUpserted += upserted;
+  logger.info('SYNC', `Applied ${upserted} inserts/updates to "${fullTableName}"`, {
+    'Pending Deletes': deletedKeys.length
+  });
+  
+  return { deletedKeys, version: toVersion };
+}
+
+/**
+ * Write the MSSQL to PostgreSQL name mapping of tables, columns, constraints and indexes
+ * The JSON report lists every renamed and unchanged name so application code can be updated.
+ */
+function writeNameMappingReport(tables, tableMetadata, foreignKeys) {
+  const report = {
+    logId: logger.logId,
+    namingPolicy: NAMING_POLICY,
+    keepConstraintNames: KEEP_CONSTRAINT_NAMES,
+    mappingFile: runOptions.mappingFile,
+    tables: [],
+    constraints: []
+  };
+  
+  const addConstraint = (type, table, source, target) => {
+    report.constraints.push({ type, table: table.displayName, source, target });
+  };
+  
+  for (const table of tables) {
+    const metadata = tableMetadata.get(`${table.schema_name}.${table.table_name}`);
+    const target = getTargetTable(table.schema_name, table.table_name);
+    const isSkipped = names => getSkippedColumns(table.schema_name, table.table_name, names).length > 0;
+    const targetColumns = names => names.map(name => getTargetColumn(table.schema_name, table.table_name, name)).join('_');
+    
+    report.tables.push({
+      source: `${table.schema_name}.${table.table_name}`,
+      target: target.displayName,
+      columns: metadata.columns.map(c => ({ source: c.name, target: c.targetName }))
+    });
+    
+    if (metadata.primaryKey) {
+      addConstraint('PRIMARY KEY', target, metadata.primaryKey.name, getConstraintName('pk', target, null, metadata.primaryKey.name));
+    }
+    for (const uc of metadata.uniqueConstraints.filter(uc => !isSkipped(uc.columns))) {
+      addConstraint('UNIQUE', target, uc.name, getConstraintName('uq', target, targetColumns(uc.columns), uc.name));
+    }
+    for (const check of metadata.checkConstraints.filter(c => !c.isDisabled && !referencesSkippedColumn(table.schema_name, table.table_name, c.clause))) {
+      addConstraint('CHECK', target, check.name, getConstraintName('ck', target, check.name, check.name));
+    }
+    const indexes = metadata.indexes.filter(i => (!i.isDisabled || MIGRATE_DISABLED_INDEXES) &&
+      !isSkipped([...i.columns.map(c => c.name), ...i.includedColumns]));
+    for (const index of indexes) {
+      addConstraint('INDEX', target, index.name, getConstraintName('ix', target, index.name));
+    }
+  }
+  
+  for (const fk of foreignKeys) {
+    if (getSkippedColumns(fk.tableSchema, fk.tableName, fk.columns).length > 0 ||
+      getSkippedColumns(fk.referencedSchema, fk.referencedTable, fk.referencedColumns).length > 0) continue;
+    
+    const source = getTargetTable(fk.tableSchema, fk.tableName);
+    const fkColumns = fk.columns.map(c => getTargetColumn(fk.tableSchema, fk.tableName, c)).join('_');
+    addConstraint('FOREIGN KEY', source, fk.name, getConstraintName('fk', source, fkColumns, fk.name));
+  }
+  
+  const reportPath = logger.writeReport('name_mapping', JSON.stringify(report, null, 2) + '\n', 'json');
+  const renamedColumns = report.tables.reduce((count, t) => count + t.columns.filter(c => c.source !== c.target).length, 0);
+  logger.info('NAMING', `Name mapping written to ${reportPath}`, {
+    'Naming Policy': NAMING_POLICY,
+    'Renamed Tables': report.tables.filter(t => t.source !== t.target).length,
+    'Renamed Columns': renamedColumns,
+    'Constraints and Indexes': report.constraints.length
+  });
+}
+
+/**
+ * Run a migration phase unless the checkpoint shows it finished in an earlier run
+ */
+async function runPhase(phase, run) {
+  if (checkpoint.isPhaseDone(phase)) {
+    logger.info('CHECKPOINT', `Phase "${phase}" was completed in an earlier run, skipping`);
+    return;
+  }
+  
+  await run();
+  checkpoint.completePhase(phase);
+}
+
+/**
+ * Open the dry-run SQL script and mirror section headings, warnings and errors into it as comments
+ */
+function startSqlScript() {
+  const filePath = runOptions.emitSql
+    ? path.resolve(runOptions.emitSql)
+    : path.join(logger.logDir, `schema_${logger.logId}.sql`);
+  
+  sqlScript = new SqlScriptWriter(filePath, {
+    'Log ID': logger.logId,
+    'Source Database': mssqlConfig.database,
+    'Target Database': pgConfig.database,
+    'Schema Mode': PRESERVE_SCHEMAS ? 'Preserve' : 'Flatten'
+  });
+  
+  logger.addListener((level, category, message) => {
+    if (level === 'SECTION') {
+      sqlScript.section(message);
+    } else if (level === 'WARNING' || level === 'ERROR') {
+      sqlScript.comment(`${level} [${category}]: ${message}`);
+    }
+  });
+  
+  logger.info('DRY_RUN', `Generated statements are written to ${filePath} instead of being executed`);
 }
 
 /**
- * Migrate data for a single table
+ * Main migration function
+ * @param {string} command - all, schema, data or constraints (see COMMAND_STEPS)
  */
-async function migrateTableData(schemaName, tableName, columns) {
-  const fullTableName = `${schemaName}_${tableName}`;
-  const pgTableName = escapeIdentifier(fullTableName);
+async function migrate(command = 'all') {
+  const steps = COMMAND_STEPS[command];
+  const runSchema = steps.includes('schema');
+  const runData = steps.includes('data');
+  const runConstraints = steps.includes('constraints');
   
-  logger.info('DATA_MIGRATION', `Starting data migration for table "${fullTableName}"...`);
+  logger = new MigrationLogger(runOptions.resume);
+  
+  logger.section('MIGRATION STARTED');
+  logger.info('STARTUP', 'MSSQL to PostgreSQL Migration Script initialized', {
+    'Command': command,
+    'Source Database': mssqlConfig.database,
+    'Target Database': pgConfig.database,
+    'Batch Size': runOptions.batchSize,
+    'Schema Mode': PRESERVE_SCHEMAS ? 'Preserve' : 'Flatten',
+    'Mapping File': runOptions.mappingFile || 'None',
+    'Naming Policy': NAMING_POLICY,
+    'Spatial Types': SPATIAL_MODE === 'postgis' ? 'PostGIS' : 'WKT text',
+    'Collation Policy': COLLATION_POLICY,
+    'Mode': runOptions.dryRun ? 'Dry run (SQL script only)' : 'Migrate'
+  });
+  
+  if (!PRESERVE_SCHEMAS && Object.keys(SCHEMA_MAP).length > 0) {
+    logger.warning('STARTUP', 'SCHEMA_MAP is ignored unless PRESERVE_SCHEMAS=true');
+    stats.warnings++;
+  }
   
   try {
-    // Get total row count
-    const totalRows = await getRowCount(schemaName, tableName);
+    if (runOptions.dryRun && runOptions.resume) {
+      throw new Error('--resume cannot be combined with --dry-run or --emit-sql');
+    }
     
-    if (totalRows === 0) {
-      logger.info('DATA_MIGRATION', `Table "${fullTableName}" is empty, skipping data migration`);
-      return true;
+    // Load the checkpoint of the interrupted run, or start a new one (in memory only for dry runs)
+    if (runOptions.dryRun) {
+      checkpoint = new MigrationCheckpoint(null, logger.logId);
+      startSqlScript();
+    } else if (runOptions.resume) {
+      checkpoint = MigrationCheckpoint.load(logger.logDir, logger.logId);
+      logger.info('CHECKPOINT', `Resuming migration ${logger.logId}`, {
+        'Checkpoint': checkpoint.getFilePath(),
+        'Completed Phases': checkpoint.state.phases.join(', ') || '(none)'
+      });
+    } else {
+      checkpoint = new MigrationCheckpoint(logger.logDir, logger.logId);
+      checkpoint.save();
     }
     
-    logger.info('DATA_MIGRATION', `Table "${fullTableName}" has ${totalRows} rows to migrate`);
+    // Initialize connections
+    await initializeConnections();
+    await validateTargetNames();
+    await initializeExtensions(runSchema);
+    await initializeCollations(runSchema);
     
-    // Build column list for SELECT and INSERT
-    const columnNames = columns.map(c => c.name);
-    const selectColumns = columnNames.map(c => `[${c}]`).join(', ');
-    const insertColumns = columnNames.map(c => escapeIdentifier(c)).join(', ');
+    // Get all tables
+    const tables = await getTables();
+    stats.tablesProcessed = tables.length;
     
-    // Migrate data in batches
-    let offset = 0;
-    let batchNumber = 0;
-    let totalMigrated = 0;
+    // Store table metadata for later use
+    const tableMetadata = new Map();
+    
+    // Phase 1: Create all tables (without foreign keys)
+    logger.section('PHASE 1: TABLE CREATION');
+    logger.info('PHASE', 'Creating tables with columns, primary keys, and unique constraints...');
     
-    // Determine if table has a primary key or unique column for ordering
-    const orderByColumn = columns[0].name;
+    // Types and sequences are created before the tables that use them; converted
+    // routines and triggers also refer to the types
+    const sequences = runSchema || runData ? await getSequences() : [];
+    const types = runSchema || runConstraints ? await getUserDefinedTypes() : [];
+    userDefinedTypes = new Map(types.map(t => [`${t.schema_name}.${t.name}`.toLowerCase(), t]));
     
-    while (offset < totalRows) {
-      batchNumber++;
+    const createTables = runSchema && !checkpoint.isPhaseDone('tables');
+    if (createTables) {
+      await createSchemas([...tables, ...types, ...sequences]);
+      await createUserDefinedTypes(types, tables);
+      await createSequences(sequences);
+    }
+    
+    for (const table of tables) {
+      const columns = await getColumns(table.schema_name, table.table_name);
+      resolveComputedColumns(table.schema_name, table.table_name, columns);
+      const primaryKey = await getPrimaryKey(table.schema_name, table.table_name);
+      const uniqueConstraints = await getUniqueConstraints(table.schema_name, table.table_name);
+      const indexes = await getIndexes(table.schema_name, table.table_name);
+      const checkConstraints = await getCheckConstraints(table.schema_name, table.table_name);
+      
+      tableMetadata.set(`${table.schema_name}.${table.table_name}`, {
+        columns,
+        primaryKey,
+        uniqueConstraints,
+        indexes,
+        checkConstraints
+      });
+      
+      // Narrowed sql_variant columns are decided once, when their table is created
+      if ((createTables || runOptions.dryRun) && SQL_VARIANT_MODE === 'narrow') {
+        await narrowVariantColumns(table.schema_name, table.table_name, columns);
+      } else if (!createTables && !runOptions.dryRun) {
+        await resolveVariantColumns(table.schema_name, table.table_name, columns);
+      }
+      if (!createTables && !runOptions.dryRun) {
+        await resolveColumnCollations(table.schema_name, table.table_name, columns);
+      }
       
-      // Fetch batch from MSSQL
-      const selectQuery = `
-        SELECT ${selectColumns}
-        FROM [${schemaName}].[${tableName}]
-        ORDER BY [${orderByColumn}]
-        OFFSET ${offset} ROWS
-        FETCH NEXT ${BATCH_SIZE} ROWS ONLY
-      `;
+      if (createTables) {
+        await resolveSpatialColumns(table.schema_name, table.table_name, columns);
+        await checkCollationConflicts(table.schema_name, table.table_name, columns, primaryKey, uniqueConstraints, indexes);
+        await createTable(table.schema_name, table.table_name, columns, primaryKey, uniqueConstraints);
+      }
+    }
+    
+    if (createTables) {
+      await createHierarchyFunctions(tableMetadata);
+      checkpoint.completePhase('tables');
+    } else if (runSchema) {
+      logger.info('CHECKPOINT', 'Phase "tables" was completed in an earlier run, skipping table creation');
+    } else {
+      logger.info('PHASE', `Table creation is not part of the "${command}" command, skipping`);
+    }
+    
+    // Foreign keys are only created between selected tables
+    const tableKeys = new Set(tables.map(t => `${t.schema_name}.${t.table_name}`));
+    const foreignKeys = (await getAllForeignKeys()).filter(fk =>
+      tableKeys.has(`${fk.tableSchema}.${fk.tableName}`) && tableKeys.has(`${fk.referencedSchema}.${fk.referencedTable}`));
+    
+    writeNameMappingReport(tables, tableMetadata, foreignKeys);
+    
+    // Phase 2: Create foreign keys before the data load, unless deferred or the data is not loaded in this run
+    const foreignKeysFirst = runConstraints && runData && !DEFER_FOREIGN_KEYS;
+    if (foreignKeysFirst) {
+      logger.section('PHASE 2: FOREIGN KEY CREATION');
+      await runPhase('foreign_keys', () => createForeignKeys(foreignKeys));
+    }
+    
+    // Phase 3: Migrate data
+    if (runData) {
+      logger.section('PHASE 3: DATA MIGRATION');
+      logger.info('PHASE', `Starting data migration for all tables (${LOAD_MODE.toUpperCase()} loader, ${runOptions.parallel} parallel)...`);
       
-      const result = await mssqlPool.request().query(selectQuery);
-      const rows = result.recordset;
+      // Sort tables by foreign key dependencies to avoid constraint violations
+      const sortedTables = sortTablesByDependencies(tables, foreignKeys);
       
-      if (rows.length === 0) break;
+      // Changes made during and after the bulk copy are picked up by the sync command from here
+      if (!runOptions.dryRun) {
+        await recordSyncBaselines(tables, tableMetadata, !runOptions.resume);
+      }
       
-      // Build INSERT statement with parameterized values
-      const client = await pgPool.connect();
+      // Existing foreign keys require referenced tables to be loaded first
+      const dependencies = DEFER_FOREIGN_KEYS ? new Map() : getTableDependencies(tables, foreignKeys);
       
-      try {
-        await client.query('BEGIN');
-        
-        for (const row of rows) {
-          const values = [];
-          const placeholders = [];
-          let paramIndex = 1;
-          
-          for (const col of columns) {
-            let value = row[col.name];
-            
-            // Handle special type conversions
-            if (value !== null && value !== undefined) {
-              // Convert Buffer to hex string for bytea
-              if (Buffer.isBuffer(value)) {
-                value = '\\x' + value.toString('hex');
-              }
-              // Convert Date objects
-              else if (value instanceof Date) {
-                value = value.toISOString();
-              }
-              // Handle boolean conversion from bit
-              else if (col.dataType.toLowerCase() === 'bit') {
-                value = value === true || value === 1;
-              }
-            }
-            
-            values.push(value);
-            placeholders.push(`$${paramIndex}`);
-            paramIndex++;
-          }
-          
-          const insertQuery = `INSERT INTO ${pgTableName} (${insertColumns}) VALUES (${placeholders.join(', ')})`;
-          await client.query(insertQuery, values);
+      if (runOptions.dryRun) {
+        logger.info('PHASE', 'Dry run: skipping the data load, only sequence resets are written');
+        sqlScript.comment('Table data is not part of this script; the sequence resets below use the rows present when it runs');
+        for (const table of sortedTables) {
+          const metadata = tableMetadata.get(`${table.schema_name}.${table.table_name}`);
+          await resetSequences(table.schema_name, table.table_name, metadata.columns);
         }
-        
-        await client.query('COMMIT');
-        totalMigrated += rows.length;
-        
-        logger.migrationProgress(fullTableName, totalMigrated, totalRows, batchNumber);
-        
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
+      } else {
+        // Progress is checkpointed per table, so finished tables are skipped on resume
+        await runTableWorkers(sortedTables, dependencies, async (table) => {
+          const metadata = tableMetadata.get(`${table.schema_name}.${table.table_name}`);
+          const batchKey = getBatchKey(metadata.columns, metadata.primaryKey, metadata.uniqueConstraints);
+          await migrateTableData(table.schema_name, table.table_name, metadata.columns, batchKey);
+          await resetSequences(table.schema_name, table.table_name, metadata.columns);
+        });
       }
       
-      offset += BATCH_SIZE;
+      await setSequenceValues(sequences);
     }
     
-    logger.success('DATA_MIGRATION', `Successfully migrated all data for table "${fullTableName}"`, {
-      'Total Rows': totalMigrated
-    });
+    if (runConstraints) {
+      if (!foreignKeysFirst) {
+        logger.section('PHASE 2: FOREIGN KEY CREATION');
+        await runPhase('foreign_keys', () => createForeignKeys(foreignKeys));
+      }
+      
+      // Phase 4: Create indexes (after the data load so inserts are not slowed down)
+      logger.section('PHASE 4: INDEX CREATION');
+      logger.info('PHASE', 'Creating non-constraint indexes for all tables...');
+      
+      await runPhase('indexes', async () => {
+        for (const table of tables) {
+          const metadata = tableMetadata.get(`${table.schema_name}.${table.table_name}`);
+          await createIndexes(table.schema_name, table.table_name, metadata.indexes, metadata.columns);
+        }
+      });
+      
+      // Phase 5: Create check constraints (after the data load, so untranslatable ones can be NOT VALID)
+      logger.section('PHASE 5: CHECK CONSTRAINT CREATION');
+      logger.info('PHASE', 'Translating and creating check constraints for all tables...');
+      
+      await runPhase('check_constraints', async () => {
+        for (const table of tables) {
+          const metadata = tableMetadata.get(`${table.schema_name}.${table.table_name}`);
+          await createCheckConstraints(table.schema_name, table.table_name, metadata.checkConstraints, metadata.columns);
+        }
+      });
+    }
     
-    stats.totalRowsMigrated += totalMigrated;
-    return true;
+    // Views and routines are also needed to resolve the names used in triggers
+    const views = runSchema || runConstraints ? await getViews() : [];
+    const routines = runSchema || runConstraints ? await getRoutines() : [];
+    
+    if (runSchema) {
+      // Phase 6: Create views
+      logger.section('PHASE 6: VIEW CREATION');
+      await runPhase('views', () => createViews(views, tables, tableMetadata));
+      
+      // Phase 7: Convert stored procedures and functions
+      logger.section('PHASE 7: ROUTINE CONVERSION');
+      await runPhase('routines', () => convertRoutines(routines, tables, views));
+    }
+    
+    // Phase 8: Create triggers (after the data load so they do not fire for migrated rows)
+    if (runConstraints) {
+      logger.section('PHASE 8: TRIGGER CREATION');
+      const triggers = await getTriggers();
+      await runPhase('triggers', () => createTriggers(triggers, tables, views, routines));
+    }
+    
+    // Phase 9: Compare the migrated data with the source
+    if (runData && VERIFY_DATA && !runOptions.dryRun) {
+      logger.section('PHASE 9: DATA VERIFICATION');
+      await verifyTables(tables, tableMetadata);
+    }
+    
+    // Write summary
+    logger.writeSummary(stats);
+    
+    if (sqlScript) {
+      logger.success('MIGRATION', 'Dry run completed, SQL script written', {
+        'SQL Script': sqlScript.getFilePath(),
+        'Statements': sqlScript.statementCount,
+        'Log File': logger.getLogFilePath()
+      });
+    } else {
+      logger.success('MIGRATION', 'Migration completed successfully!', {
+        'Log File': logger.getLogFilePath()
+      });
+    }
     
   } catch (error) {
-    logger.error('DATA_MIGRATION', `Failed to migrate data for table "${fullTableName}": ${error.message}`);
+    logger.error('MIGRATION', `Migration failed with error: ${error.message}`, {
+      'Stack': error.stack
+    });
     stats.errors++;
-    return false;
+    if (checkpoint && !runOptions.dryRun) {
+      logger.info('CHECKPOINT', `Progress saved, continue with: node cli.js ${command} --resume ${logger.logId}`);
+    }
+    logger.writeSummary(stats);
+    throw error;
+  } finally {
+    // Close connections
+    logger.section('CLEANUP');
+    
+    if (mssqlPool) {
+      await mssqlPool.close();
+      logger.info('CLEANUP', 'MSSQL connection closed');
+    }
+    
+    if (pgPool) {
+      await pgPool.end();
+      logger.info('CLEANUP', 'PostgreSQL connection closed');
+    }
+    
+    logger.close();
   }
 }
 
 /**
- * Reset sequences for serial columns after data migration
+ * Verify previously migrated data without migrating anything (verify command)
  */
-async function resetSequences(schemaName, tableName, columns) {
-  const fullTableName = `${schemaName}_${tableName}`;
+async function verify() {
+  logger = new MigrationLogger();
   
-  for (const col of columns) {
-    if (col.isIdentity) {
-      try {
-        // Get the max value from the column
-        const maxQuery = `SELECT COALESCE(MAX(${escapeIdentifier(col.name)}), 0) as max_val FROM ${escapeIdentifier(fullTableName)}`;
-        const result = await pgPool.query(maxQuery);
-        const maxVal = result.rows[0].max_val;
-        
-        // Reset the sequence
-        const seqName = `${fullTableName}_${col.name}_seq`;
-        const resetQuery = `SELECT setval(pg_get_serial_sequence('${fullTableName}', '${col.name}'), GREATEST(${maxVal}, 1), ${maxVal > 0})`;
-        
-        await pgPool.query(resetQuery);
-        logger.info('SEQUENCE_RESET', `Reset sequence for "${fullTableName}.${col.name}" to ${maxVal}`);
-      } catch (error) {
-        logger.warning('SEQUENCE_RESET', `Could not reset sequence for "${fullTableName}.${col.name}": ${error.message}`);
-        stats.warnings++;
-      }
+  logger.section('VERIFICATION STARTED');
+  logger.info('STARTUP', 'Comparing migrated data between MSSQL and PostgreSQL', {
+    'Source Database': mssqlConfig.database,
+    'Target Database': pgConfig.database,
+    'Chunk Size': VERIFY_CHUNK_ROWS
+  });
+  
+  try {
+    await initializeConnections();
+    await validateTargetNames();
+    await initializeExtensions(false);
+    
+    const tables = await getTables();
+    stats.tablesProcessed = tables.length;
+    
+    const tableMetadata = new Map();
+    for (const table of tables) {
+      const columns = await getColumns(table.schema_name, table.table_name);
+      await resolveVariantColumns(table.schema_name, table.table_name, columns);
+      tableMetadata.set(`${table.schema_name}.${table.table_name}`, {
+        columns,
+        primaryKey: await getPrimaryKey(table.schema_name, table.table_name),
+        uniqueConstraints: await getUniqueConstraints(table.schema_name, table.table_name)
+      });
+    }
+    
+    logger.section('DATA VERIFICATION');
+    await verifyTables(tables, tableMetadata);
+    
+    logger.writeSummary(stats);
+  } catch (error) {
+    logger.error('VERIFICATION', `Verification failed with error: ${error.message}`, {
+      'Stack': error.stack
+    });
+    stats.errors++;
+    logger.writeSummary(stats);
+    throw error;
+  } finally {
+    logger.section('CLEANUP');
+    
+    if (mssqlPool) {
+      await mssqlPool.close();
+      logger.info('CLEANUP', 'MSSQL connection closed');
+    }
+    
+    if (pgPool) {
+      await pgPool.end();
+      logger.info('CLEANUP', 'PostgreSQL connection closed');
     }
+    
+    logger.close();
   }
 }
 
 /**
- * Main migration function
+ * Apply the changes made in MSSQL since the last sync (sync command)
+ * Inserts and updates are applied in foreign key dependency order, deletes
+ * afterwards in reverse order. A table's version is only stored once all of
+ * its changes are applied; re-applying changes after a failure is harmless.
  */
-async function migrate() {
+async function sync() {
   logger = new MigrationLogger();
   
-  logger.section('MIGRATION STARTED');
-  logger.info('STARTUP', 'MSSQL to PostgreSQL Migration Script initialized', {
+  logger.section('DELTA SYNC STARTED');
+  logger.info('STARTUP', 'Applying MSSQL changes to PostgreSQL', {
     'Source Database': mssqlConfig.database,
     'Target Database': pgConfig.database,
-    'Batch Size': BATCH_SIZE
+    'State File': SYNC_STATE_FILE
   });
   
   try {
-    // Initialize connections
     await initializeConnections();
+    await validateTargetNames();
+    await initializeExtensions(false);
     
-    // Get all tables
     const tables = await getTables();
     stats.tablesProcessed = tables.length;
     
-    // Store table metadata for later use
     const tableMetadata = new Map();
-    
-    // Phase 1: Create all tables (without foreign keys)
-    logger.section('PHASE 1: TABLE CREATION');
-    logger.info('PHASE', 'Creating tables with columns, primary keys, and unique constraints...');
-    
     for (const table of tables) {
       const columns = await getColumns(table.schema_name, table.table_name);
-      const primaryKey = await getPrimaryKey(table.schema_name, table.table_name);
-      const uniqueConstraints = await getUniqueConstraints(table.schema_name, table.table_name);
-      
+      resolveComputedColumns(table.schema_name, table.table_name, columns);
+      await resolveVariantColumns(table.schema_name, table.table_name, columns);
       tableMetadata.set(`${table.schema_name}.${table.table_name}`, {
         columns,
-        primaryKey,
-        uniqueConstraints
+        primaryKey: await getPrimaryKey(table.schema_name, table.table_name),
+        uniqueConstraints: await getUniqueConstraints(table.schema_name, table.table_name)
       });
-      
-      await createTable(table.schema_name, table.table_name, columns, primaryKey, uniqueConstraints);
     }
     
-    // Phase 2: Create foreign keys
-    logger.section('PHASE 2: FOREIGN KEY CREATION');
     const foreignKeys = await getAllForeignKeys();
-    await createForeignKeys(foreignKeys);
-    
-    // Phase 3: Migrate data
-    logger.section('PHASE 3: DATA MIGRATION');
-    logger.info('PHASE', 'Starting data migration for all tables...');
-    
-    // Sort tables by foreign key dependencies to avoid constraint violations
-    // Tables with no foreign keys first, then tables that reference them
     const sortedTables = sortTablesByDependencies(tables, foreignKeys);
+    const trackedTables = await getChangeTrackedTables();
+    const syncState = SyncState.load(SYNC_STATE_FILE);
+    
+    logger.section('SYNC: INSERTS AND UPDATES');
+    const pending = [];
     
     for (const table of sortedTables) {
-      const metadata = tableMetadata.get(`${table.schema_name}.${table.table_name}`);
-      await migrateTableData(table.schema_name, table.table_name, metadata.columns);
-      await resetSequences(table.schema_name, table.table_name, metadata.columns);
+      const key = `${table.schema_name}.${table.table_name}`;
+      const fullTableName = getTargetTable(table.schema_name, table.table_name).displayName;
+      const metadata = tableMetadata.get(key);
+      const source = getSyncSource(table.schema_name, table.table_name, metadata, trackedTables);
+      
+      if (!source) {
+        logger.warning('SYNC', `Table "${fullTableName}" has neither Change Tracking nor a rowversion column with a key, skipping`);
+        stats.warnings++;
+        continue;
+      }
+      
+      try {
+        const changes = await syncTableChanges(table.schema_name, table.table_name, metadata, source, syncState);
+        pending.push({ table, key, fullTableName, source, changes });
+      } catch (error) {
+        logger.error('SYNC', `Failed to sync table "${fullTableName}": ${error.message}`);
+        stats.errors++;
+      }
     }
     
-    // Write summary
-    logger.writeSummary(stats);
+    logger.section('SYNC: DELETES');
     
-    logger.success('MIGRATION', 'Migration completed successfully!', {
-      'Log File': logger.getLogFilePath()
-    });
+    for (const { table, key, fullTableName, source, changes } of pending.reverse()) {
+      try {
+        if (changes.deletedKeys.length > 0) {
+          const pgTableName = getTargetTable(table.schema_name, table.table_name).qualifiedName;
+          for (let start = 0; start < changes.deletedKeys.length; start += runOptions.batchSize) {
+            await deleteBatch(pgTableName, source.keyColumns, changes.deletedKeys.slice(start, start + runOptions.batchSize));
+          }
+          stats.rowsDeleted += changes.deletedKeys.length;
+        }
+        
+        syncState.setTable(key, source.method, changes.version);
+        stats.tablesSynced++;
+        logger.success('SYNC', `Table "${fullTableName}" is synced up to version ${changes.version}`, {
+          'Deleted Rows': changes.deletedKeys.length
+        });
+      } catch (error) {
+        logger.error('SYNC', `Failed to apply deletes to table "${fullTableName}": ${error.message}`);
+        stats.errors++;
+      }
+    }
     
+    // Sequence values drawn in MSSQL since the migration or the last sync
+    logger.section('SYNC: SEQUENCES');
+    await setSequenceValues(await getSequences());
+    
+    logger.writeSummary(stats);
   } catch (error) {
-    logger.error('MIGRATION', `Migration failed with error: ${error.message}`, {
+    logger.error('SYNC', `Sync failed with error: ${error.message}`, {
       'Stack': error.stack
     });
     stats.errors++;
     logger.writeSummary(stats);
     throw error;
   } finally {
-    // Close connections
     logger.section('CLEANUP');
     
     if (mssqlPool) {
@@ -745,16 +4644,14 @@ async function migrate() {
 }
 
 /**
- * Sort tables by foreign key dependencies
- * Tables with no dependencies come first
+ * Build the foreign key dependency graph: table key -> keys of the tables it references
  */
-function sortTablesByDependencies(tables, foreignKeys) {
+function getTableDependencies(tables, foreignKeys) {
   const tableNames = new Set(tables.map(t => `${t.schema_name}.${t.table_name}`));
   const dependencies = new Map();
   
   // Initialize dependencies
-  for (const table of tables) {
-    const fullName = `${table.schema_name}.${table.table_name}`;
+  for (const fullName of tableNames) {
     dependencies.set(fullName, new Set());
   }
   
@@ -768,6 +4665,67 @@ function sortTablesByDependencies(tables, foreignKeys) {
     }
   }
   
+  return dependencies;
+}
+
+/**
+ * Run a worker for each table with at most runOptions.parallel (--parallel) running at once
+ * A table starts only after all tables it depends on have finished (whether
+ * they succeeded or not). Tables are picked in the given order; if only
+ * tables in a dependency cycle are left, the next one starts anyway.
+ * A worker failure is logged and does not affect the other tables.
+ */
+function runTableWorkers(tables, dependencies, worker) {
+  const pending = [...tables];
+  const finished = new Set();
+  const running = new Set();
+  
+  return new Promise((resolve) => {
+    const startNext = () => {
+      while (pending.length > 0 && running.size < runOptions.parallel) {
+        let index = pending.findIndex(t => {
+          const deps = dependencies.get(`${t.schema_name}.${t.table_name}`) || new Set();
+          return [...deps].every(dep => finished.has(dep));
+        });
+        if (index === -1) {
+          if (running.size > 0) break;
+          index = 0;
+        }
+        
+        const [table] = pending.splice(index, 1);
+        const key = `${table.schema_name}.${table.table_name}`;
+        const task = Promise.resolve()
+          .then(() => worker(table))
+          .catch((error) => {
+            const displayName = getTargetTable(table.schema_name, table.table_name).displayName;
+            logger.error('DATA_MIGRATION', `Unexpected failure while migrating table "${displayName}": ${error.message}`);
+            stats.errors++;
+          })
+          .then(() => {
+            running.delete(task);
+            finished.add(key);
+            startNext();
+          });
+        running.add(task);
+      }
+      
+      if (pending.length === 0 && running.size === 0) {
+        resolve();
+      }
+    };
+    
+    startNext();
+  });
+}
+
+/**
+ * Sort tables by foreign key dependencies
+ * Tables with no dependencies come first
+ */
+function sortTablesByDependencies(tables, foreignKeys) {
+  const tablesByName = new Map(tables.map(t => [`${t.schema_name}.${t.table_name}`, t]));
+  const dependencies = getTableDependencies(tables, foreignKeys);
+  
   // Topological sort
   const sorted = [];
   const visited = new Set();
@@ -777,7 +4735,9 @@ function sortTablesByDependencies(tables, foreignKeys) {
     if (visited.has(tableName)) return;
     if (visiting.has(tableName)) {
       // Circular dependency - just add it
-      logger.warning('DEPENDENCY', `Circular dependency detected involving table "${tableName}"`);
+      const table = tablesByName.get(tableName);
+      const displayName = getTargetTable(table.schema_name, table.table_name).displayName;
+      logger.warning('DEPENDENCY', `Circular dependency detected involving table "${displayName}"`);
       stats.warnings++;
       return;
     }
@@ -798,20 +4758,36 @@ function sortTablesByDependencies(tables, foreignKeys) {
     visit(`${table.schema_name}.${table.table_name}`);
   }
   
-  // Map back to table objects
-  return sorted.map(name => {
-    const [schema, table] = name.split('.');
-    return { schema_name: schema, table_name: table };
-  });
+  // Map back to table objects (names may themselves contain dots)
+  return sorted.map(name => tablesByName.get(name));
 }
 
-// Run migration
-migrate()
-  .then(() => {
-    console.log('\n✅ Migration completed. Check the logs directory for detailed logs.');
-    process.exit(0);
-  })
-  .catch((error) => {
-    console.error('\n❌ Migration failed:', error.message);
-    process.exit(1);
-  });
+/**
+ * Run a command with the options given on the command line
+ * @param {string} command - A key of COMMAND_STEPS, 'verify' or 'sync'
+ * @param {Object} options - Overrides for runOptions
+ * @returns {Promise<Object>} The run statistics; errors > 0 means some objects failed
+ */
+async function run(command, options = {}) {
+  Object.assign(runOptions, options);
+  
+  if (command === 'verify') {
+    await verify();
+  } else if (command === 'sync') {
+    await sync();
+  } else {
+    await migrate(command);
+  }
+  
+  return stats;
+}
+
+module.exports = {
+  run,
+  COMMAND_STEPS
+};
+
+// Keep "node migrate.js" working as a shortcut for the command line interface
+if (require.main === module) {
+  require('./cli').main(process.argv.slice(2));
+}
@@ -0,0 +1,87 @@
+/**
+ * PostgreSQL Identifier Naming Policy
+ * Converts MSSQL names to the configured style and keeps generated names
+ * within the 63-byte identifier limit of PostgreSQL.
+ */
+
+const crypto = require('crypto');
+
+// NAMEDATALEN - 1; longer identifiers are silently truncated by PostgreSQL
+const MAX_IDENTIFIER_BYTES = 63;
+
+// Length of the hash suffix that keeps truncated names unique
+const HASH_LENGTH = 8;
+
+const NAMING_POLICIES = ['preserve', 'lowercase', 'snake_case'];
+
+/**
+ * Convert a name to snake_case
+ * CustomerID -> customer_id, HTTPStatus2Code -> http_status2_code, "Order Date" -> order_date
+ */
+function toSnakeCase(name) {
+  const snake = name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^\p{L}\p{N}_]+/gu, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .toLowerCase();
+
+  // Names made only of symbols keep their lowercase form
+  return snake || name.toLowerCase();
+}
+
+/**
+ * Apply a naming policy to an identifier
+ * @param {string} name - Source identifier
+ * @param {string} policy - preserve, lowercase or snake_case
+ */
+function applyNamingPolicy(name, policy) {
+  switch (policy) {
+    case 'lowercase':
+      return name.toLowerCase();
+    case 'snake_case':
+      return toSnakeCase(name);
+    default:
+      return name;
+  }
+}
+
+/**
+ * Shorten an identifier to the PostgreSQL limit
+ * Long names keep as much of their start as fits and end in a hash of the
+ * full name, so the result is deterministic and distinct names stay distinct.
+ */
+function truncateIdentifier(name) {
+  if (Buffer.byteLength(name, 'utf8') <= MAX_IDENTIFIER_BYTES) {
+    return name;
+  }
+
+  const hash = crypto.createHash('md5').update(name).digest('hex').slice(0, HASH_LENGTH);
+  const budget = MAX_IDENTIFIER_BYTES - HASH_LENGTH - 1;
+
+  // Cut on character boundaries so multi-byte characters are never split
+  let prefix = '';
+  for (const char of name) {
+    if (Buffer.byteLength(prefix + char, 'utf8') > budget) break;
+    prefix += char;
+  }
+
+  return `${prefix.replace(/_+$/, '')}_${hash}`;
+}
+
+/**
+ * Apply a naming policy and the length limit in one step
+ */
+function toTargetIdentifier(name, policy) {
+  return truncateIdentifier(applyNamingPolicy(name, policy));
+}
+
+module.exports = {
+  applyNamingPolicy,
+  toSnakeCase,
+  truncateIdentifier,
+  toTargetIdentifier,
+  NAMING_POLICIES,
+  MAX_IDENTIFIER_BYTES
+};
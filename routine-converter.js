@@ -0,0 +1,1168 @@
+/**
+ * T-SQL Routine Converter
+ * Produces best-effort PL/pgSQL drafts of MSSQL stored procedures,
+ * user-defined functions and DML triggers. Statements that cannot be converted are kept as
+ * comments next to a TODO marker so the draft can be finished by hand.
+ */
+
+const { mapDataType, escapeIdentifier } = require('./type-mapper');
+const {
+  parse,
+  nodesToText,
+  translateExpression,
+  translateQuery,
+  translateTypeReference
+} = require('./sql-translator');
+
+const ROUTINE_KINDS = {
+  P: 'procedure',
+  FN: 'function',
+  IF: 'inline',
+  TF: 'table'
+};
+
+// Keywords that start a new T-SQL statement
+const STATEMENT_KEYWORDS = new Set([
+  'BEGIN', 'BREAK', 'CLOSE', 'COMMIT', 'CONTINUE', 'DEALLOCATE', 'DECLARE', 'DELETE', 'ELSE',
+  'END', 'EXEC', 'EXECUTE', 'FETCH', 'GOTO', 'IF', 'INSERT', 'MERGE', 'OPEN', 'PRINT',
+  'RAISERROR', 'RETURN', 'ROLLBACK', 'SAVE', 'SELECT', 'SET', 'THROW', 'TRUNCATE', 'UPDATE',
+  'WAITFOR', 'WHILE', 'WITH'
+]);
+
+// Statement keywords that may appear (once) inside the statement started by the key
+const CONTINUATIONS = {
+  WITH: ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'],
+  INSERT: ['SELECT', 'WITH', 'EXEC', 'EXECUTE'],
+  UPDATE: ['SET']
+};
+
+// SET options that have no PostgreSQL counterpart and can simply be dropped
+const IGNORED_SET_OPTIONS = new Set([
+  'ANSI_NULLS', 'ANSI_PADDING', 'ANSI_WARNINGS', 'ARITHABORT', 'CONCAT_NULL_YIELDS_NULL',
+  'NOCOUNT', 'NUMERIC_ROUNDABORT', 'QUOTED_IDENTIFIER', 'XACT_ABORT'
+]);
+
+const DML_STATEMENTS = new Set(['insert', 'update', 'delete', 'merge', 'with']);
+
+function isSignificant(node) {
+  return node.type !== 'whitespace' && node.type !== 'comment';
+}
+
+function upper(node) {
+  return node && node.type === 'word' ? node.value.toUpperCase() : null;
+}
+
+function isPunctuation(node, value) {
+  return !!node && node.type === 'punctuation' && node.value === value;
+}
+
+function isOperator(node, value) {
+  return !!node && node.type === 'operator' && node.value === value;
+}
+
+function significant(nodes) {
+  return nodes.filter(isSignificant);
+}
+
+/**
+ * Splits nodes on top-level commas
+ */
+function splitOnCommas(nodes) {
+  const parts = [[]];
+  for (const node of nodes) {
+    if (isPunctuation(node, ',')) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(node);
+    }
+  }
+  return parts.filter(part => part.some(isSignificant));
+}
+
+/**
+ * Turns a T-SQL @variable into a PL/pgSQL identifier with the given prefix
+ */
+function variableName(name, prefix) {
+  return `${prefix}${name.replace(/^@+/, '').toLowerCase().replace(/[^a-z0-9_]/g, '_')}`;
+}
+
+/**
+ * Recursive-descent reader that groups a T-SQL body into statements
+ */
+class StatementParser {
+  constructor(nodes) {
+    this.nodes = nodes;
+    this.pos = 0;
+  }
+
+  peekIndex(from = this.pos) {
+    for (let i = from; i < this.nodes.length; i++) {
+      if (isSignificant(this.nodes[i])) return i;
+    }
+    return -1;
+  }
+
+  peek(offset = 0) {
+    let index = this.peekIndex();
+    while (offset-- > 0 && index !== -1) {
+      index = this.peekIndex(index + 1);
+    }
+    return index === -1 ? null : this.nodes[index];
+  }
+
+  peekWord(offset = 0) {
+    return upper(this.peek(offset));
+  }
+
+  next() {
+    const index = this.peekIndex();
+    this.pos = index === -1 ? this.nodes.length : index + 1;
+    return index === -1 ? null : this.nodes[index];
+  }
+
+  atEnd() {
+    return this.peekIndex() === -1;
+  }
+
+  leadingComments() {
+    const end = this.peekIndex();
+    return this.nodes.slice(this.pos, end === -1 ? this.nodes.length : end)
+      .filter(node => node.type === 'comment')
+      .map(node => node.value);
+  }
+
+  skipSemicolon() {
+    if (isPunctuation(this.peek(), ';')) this.next();
+  }
+
+  /**
+   * Checks whether the statement keyword at index really starts a new statement
+   */
+  isStatementStart(index, previous) {
+    const node = this.nodes[index];
+    const word = upper(node);
+    if (!STATEMENT_KEYWORDS.has(word)) return false;
+
+    const previousWord = upper(previous);
+    const nextIndex = this.peekIndex(index + 1);
+    const next = nextIndex === -1 ? null : this.nodes[nextIndex];
+    const afterNext = nextIndex === -1 ? null : this.nodes[this.peekIndex(nextIndex + 1)];
+
+    switch (word) {
+      case 'SELECT':
+        return !['UNION', 'ALL', 'EXCEPT', 'INTERSECT'].includes(previousWord);
+      case 'WITH':
+        // A CTE (WITH name AS / WITH name (...) AS), not a table hint or WITH NOWAIT
+        return !!next && (next.type === 'identifier' || next.type === 'word') &&
+          (upper(afterNext) === 'AS' || (afterNext && afterNext.type === 'group'));
+      case 'FETCH':
+        return !['ROW', 'ROWS'].includes(previousWord);
+      case 'OPEN':
+      case 'CLOSE':
+      case 'DEALLOCATE':
+        return !!next && (next.type === 'identifier' || next.type === 'word') &&
+          !(previous && (previous.type === 'operator' || isPunctuation(previous, ',') || previousWord === 'SELECT'));
+      case 'SAVE':
+        return ['TRAN', 'TRANSACTION'].includes(upper(next));
+      case 'UPDATE':
+        // UPDATE(column) inside a trigger condition
+        return !(next && next.type === 'group');
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Reads nodes until the next statement boundary (a semicolon or statement keyword)
+   * @param {number} start - Index of the first node of the returned slice
+   * @param {string[]} allowed - Statement keywords that continue the current statement
+   */
+  readUntilBoundary(start, allowed = []) {
+    let caseDepth = 0;
+    let previous = null;
+    let i = this.pos;
+
+    for (; i < this.nodes.length; i++) {
+      const node = this.nodes[i];
+      if (!isSignificant(node)) continue;
+
+      const word = upper(node);
+      if (isPunctuation(node, ';')) {
+        this.pos = i + 1;
+        return this.nodes.slice(start, i);
+      }
+
+      if (word === 'CASE') {
+        caseDepth++;
+      } else if (word === 'END' && caseDepth > 0) {
+        caseDepth--;
+      } else if (caseDepth === 0 && this.isStatementStart(i, previous)) {
+        if (!allowed.includes(word)) break;
+        allowed = CONTINUATIONS[word] || [];
+      }
+
+      previous = node;
+    }
+
+    this.pos = i;
+    return this.nodes.slice(start, i);
+  }
+
+  /**
+   * Reads a complete simple statement, including its leading keyword
+   */
+  readStatement() {
+    const start = this.peekIndex();
+    const keyword = upper(this.nodes[start]);
+    this.pos = start + 1;
+
+    // MERGE must be terminated by a semicolon in T-SQL and contains other statement keywords
+    if (keyword === 'MERGE') {
+      let end = this.pos;
+      while (end < this.nodes.length && !isPunctuation(this.nodes[end], ';')) end++;
+      this.pos = Math.min(end + 1, this.nodes.length);
+      return this.nodes.slice(start, end);
+    }
+
+    return this.readUntilBoundary(start, CONTINUATIONS[keyword] || []);
+  }
+
+  /**
+   * Reads an IF/WHILE condition, which ends where the controlled statement begins
+   */
+  readCondition() {
+    const start = this.pos;
+    return this.readUntilBoundary(start);
+  }
+
+  parseStatements(isEnd) {
+    const statements = [];
+
+    while (!this.atEnd() && !isEnd()) {
+      const comments = this.leadingComments();
+      const statement = this.parseStatement();
+      if (statement) {
+        statement.comments = comments;
+        statements.push(statement);
+      }
+    }
+
+    return statements;
+  }
+
+  parseBranch() {
+    if (this.atEnd()) return null;
+    const comments = this.leadingComments();
+    const statement = this.parseStatement();
+    if (statement) statement.comments = comments;
+    return statement;
+  }
+
+  parseStatement() {
+    const node = this.peek();
+    const word = upper(node);
+
+    if (isPunctuation(node, ';')) {
+      this.next();
+      return null;
+    }
+
+    switch (word) {
+      case 'BEGIN': {
+        const second = this.peekWord(1);
+        if (second === 'TRY') return this.parseTry();
+        if (['TRAN', 'TRANSACTION', 'DISTRIBUTED'].includes(second)) {
+          return { type: 'transaction', nodes: this.readStatement() };
+        }
+
+        this.next();
+        const body = this.parseStatements(() => this.peekWord() === 'END');
+        this.next();
+        this.skipSemicolon();
+        return { type: 'block', body };
+      }
+
+      case 'IF': {
+        this.next();
+        const condition = this.readCondition();
+        const thenBranch = this.parseBranch();
+        let elseBranch = null;
+        if (this.peekWord() === 'ELSE') {
+          this.next();
+          elseBranch = this.parseBranch();
+        }
+        return { type: 'if', condition, thenBranch, elseBranch };
+      }
+
+      case 'WHILE': {
+        this.next();
+        const condition = this.readCondition();
+        return { type: 'while', condition, body: this.parseBranch() };
+      }
+
+      case 'ELSE':
+      case 'END':
+        // Unbalanced block keyword; keep it so it shows up as a TODO
+        return { type: 'unknown', nodes: [this.next()] };
+
+      default:
+        if (!word || !STATEMENT_KEYWORDS.has(word)) {
+          const start = this.peekIndex();
+          this.pos = start + 1;
+          return { type: 'unknown', nodes: this.readUntilBoundary(start) };
+        }
+        return { type: word.toLowerCase(), nodes: this.readStatement() };
+    }
+  }
+
+  parseTry() {
+    this.next();
+    this.next();
+    const body = this.parseStatements(() => this.peekWord() === 'END' && this.peekWord(1) === 'TRY');
+    this.next();
+    this.next();
+
+    let handler = [];
+    if (this.peekWord() === 'BEGIN' && this.peekWord(1) === 'CATCH') {
+      this.next();
+      this.next();
+      handler = this.parseStatements(() => this.peekWord() === 'END' && this.peekWord(1) === 'CATCH');
+      this.next();
+      this.next();
+    }
+    this.skipSemicolon();
+
+    return { type: 'try', body, handler };
+  }
+}
+
+/**
+ * Emits PL/pgSQL for parsed statements
+ */
+class PlpgsqlWriter {
+  constructor(kind, options) {
+    this.kind = kind;
+    this.params = new Map();
+    this.locals = new Map();
+    this.declarations = [];
+    this.todos = [];
+    this.resultVariable = options.resultVariable || null;
+    this.triggerEvent = options.triggerEvent || null;
+    this.usesRowCount = false;
+    this.mapFunction = options.mapFunction || null;
+    this.mapUserType = options.mapUserType || null;
+    this.translateOptions = {
+      mapTable: options.mapTable,
+      mapFunction: options.mapFunction,
+      mapIdentifier: options.mapIdentifier,
+      mapVariable: name => this.mapVariable(name)
+    };
+  }
+
+  addParameter(name) {
+    const pgName = variableName(name, 'p_');
+    this.params.set(name.toLowerCase(), pgName);
+    return pgName;
+  }
+
+  declareLocal(name, type) {
+    const pgName = variableName(name, 'v_');
+    if (!this.locals.has(name.toLowerCase())) {
+      this.locals.set(name.toLowerCase(), pgName);
+      this.declarations.push(`${pgName} ${type};`);
+    }
+    return pgName;
+  }
+
+  mapVariable(name) {
+    const lower = name.toLowerCase();
+    if (lower === '@@rowcount') return 'v_rowcount';
+    if (lower.startsWith('@@')) return null;
+    return this.params.get(lower) || this.locals.get(lower) || variableName(name, 'v_');
+  }
+
+  todo(lines, pad, message, original = null) {
+    this.todos.push(message);
+    lines.push(`${pad}-- TODO: ${message}`);
+    if (original) {
+      for (const line of original.trim().split('\n')) {
+        lines.push(`${pad}--   ${line.trimEnd()}`);
+      }
+    }
+  }
+
+  /**
+   * Translates nodes as SQL, recording a TODO for anything left untranslated
+   */
+  translate(nodes, lines, pad, { expression = false } = {}) {
+    if (this.triggerEvent) {
+      nodes = this.replaceUpdateChecks(nodes, lines, pad);
+    }
+
+    const text = nodesToText(nodes);
+    const result = expression
+      ? translateExpression(text, this.translateOptions)
+      : translateQuery(text, this.translateOptions);
+
+    if (!result.complete) {
+      this.todo(lines, pad, `unsupported constructs: ${result.unsupported.join(', ')}`);
+    }
+    return result.sql;
+  }
+
+  /**
+   * Replaces the trigger-only UPDATE(column) check with a constant for the trigger event
+   * (T-SQL reports every column as updated for INSERT and none for DELETE)
+   */
+  replaceUpdateChecks(nodes, lines, pad) {
+    const result = [];
+
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      if (node.type === 'group') {
+        result.push({ ...node, children: this.replaceUpdateChecks(node.children, lines, pad) });
+        continue;
+      }
+
+      const nextIndex = nodes.findIndex((n, j) => j > i && isSignificant(n));
+      const next = nodes[nextIndex];
+      if (upper(node) !== 'UPDATE' || !next || next.type !== 'group') {
+        result.push(node);
+        continue;
+      }
+
+      if (this.triggerEvent === 'UPDATE') {
+        this.todo(lines, pad, `UPDATE(${nodesToText(next.children).trim()}) assumed true; compare inserted and deleted rows or use AFTER UPDATE OF`);
+      }
+      result.push({ type: 'number', value: this.triggerEvent === 'DELETE' ? '(1 = 0)' : '(1 = 1)' });
+      i = nextIndex;
+    }
+
+    return result;
+  }
+
+  appendStatement(lines, pad, sql) {
+    const statementLines = sql.trim().split('\n');
+    statementLines[statementLines.length - 1] += ';';
+    lines.push(...statementLines.map((line, i) => (i === 0 ? pad + line : `${pad}${line.trimEnd()}`)));
+  }
+
+  writeStatements(statements, indent) {
+    const lines = [];
+    for (const statement of statements) {
+      lines.push(...this.writeStatement(statement, indent));
+    }
+    return lines;
+  }
+
+  writeBranch(statement, indent) {
+    const pad = '  '.repeat(indent);
+    const lines = !statement ? [] : statement.type === 'block'
+      ? [...(statement.comments || []).map(c => pad + c), ...this.writeStatements(statement.body, indent)]
+      : this.writeStatement(statement, indent);
+    return lines.some(line => !line.trim().startsWith('--')) ? lines : [...lines, `${pad}NULL;`];
+  }
+
+  writeStatement(statement, indent) {
+    const pad = '  '.repeat(indent);
+    const lines = (statement.comments || []).map(comment => pad + comment);
+    const nodes = statement.nodes || [];
+    const rest = nodes.slice(nodes.findIndex(isSignificant) + 1);
+    const original = nodesToText(nodes);
+
+    switch (statement.type) {
+      case 'block':
+        lines.push(`${pad}BEGIN`, ...this.writeStatements(statement.body, indent + 1), `${pad}END;`);
+        break;
+
+      case 'if':
+        lines.push(...this.writeIf(statement, indent, 'IF'), `${pad}END IF;`);
+        break;
+
+      case 'while': {
+        const condition = this.translate(statement.condition, lines, pad, { expression: true });
+        lines.push(`${pad}WHILE ${condition} LOOP`, ...this.writeBranch(statement.body, indent + 1), `${pad}END LOOP;`);
+        break;
+      }
+
+      case 'try':
+        lines.push(
+          `${pad}BEGIN`,
+          ...this.writeBranch({ type: 'block', body: statement.body }, indent + 1),
+          `${pad}EXCEPTION`,
+          `${pad}  WHEN OTHERS THEN`,
+          ...this.writeBranch({ type: 'block', body: statement.handler }, indent + 2),
+          `${pad}END;`
+        );
+        break;
+
+      case 'declare':
+        this.writeDeclare(rest, lines, pad, original);
+        break;
+
+      case 'set':
+        this.writeSet(rest, lines, pad, original);
+        break;
+
+      case 'select':
+        this.writeSelect(nodes, rest, lines, pad, original);
+        break;
+
+      case 'insert':
+        this.writeInsert(nodes, rest, lines, pad, original);
+        break;
+
+      case 'update':
+      case 'delete':
+      case 'with':
+      case 'truncate':
+      case 'merge': {
+        const hasFrom = statement.type !== 'with' && significant(rest).filter(n => upper(n) === 'FROM').length > (statement.type === 'delete' ? 1 : 0);
+        if (hasFrom) {
+          this.todo(lines, pad, `${statement.type.toUpperCase()} ... FROM join semantics differ in PostgreSQL, review this statement`);
+        }
+        if (statement.type === 'merge') {
+          this.todo(lines, pad, 'MERGE requires PostgreSQL 15 or later and differs in detail, review this statement');
+        }
+        this.appendStatement(lines, pad, this.translate(nodes, lines, pad));
+        break;
+      }
+
+      case 'exec':
+      case 'execute':
+        this.writeExec(rest, lines, pad, original);
+        break;
+
+      case 'print':
+        lines.push(`${pad}RAISE NOTICE '%', ${this.translate(rest, lines, pad, { expression: true })};`);
+        break;
+
+      case 'raiserror':
+        this.writeRaiserror(rest, lines, pad, original);
+        break;
+
+      case 'throw': {
+        const args = splitOnCommas(rest);
+        if (args.length === 0) {
+          lines.push(`${pad}RAISE;`);
+        } else {
+          const message = this.translate(args[1] || args[0], lines, pad, { expression: true });
+          lines.push(`${pad}RAISE EXCEPTION '%', ${message};`);
+        }
+        break;
+      }
+
+      case 'return':
+        this.writeReturn(rest, lines, pad, original);
+        break;
+
+      case 'break':
+        lines.push(`${pad}EXIT;`);
+        break;
+
+      case 'continue':
+        lines.push(`${pad}CONTINUE;`);
+        break;
+
+      case 'transaction':
+      case 'commit':
+      case 'rollback':
+      case 'save':
+        if (this.kind === 'trigger' && statement.type === 'rollback') {
+          lines.push(`${pad}RAISE EXCEPTION 'Transaction rolled back by trigger';`);
+        } else if (this.kind === 'procedure' && ['commit', 'rollback'].includes(statement.type)) {
+          this.todo(lines, pad, 'review transaction control (not allowed inside EXCEPTION blocks or when called in a transaction)');
+          lines.push(`${pad}${statement.type.toUpperCase()};`);
+        } else {
+          this.todo(lines, pad, 'transaction control statement not converted', original);
+        }
+        break;
+
+      default:
+        this.todo(lines, pad, 'statement not converted', original);
+    }
+
+    if (DML_STATEMENTS.has(statement.type) && this.usesRowCount) {
+      lines.push(`${pad}GET DIAGNOSTICS v_rowcount = ROW_COUNT;`);
+    }
+
+    return lines;
+  }
+
+  writeIf(statement, indent, keyword) {
+    const pad = '  '.repeat(indent);
+    const lines = [];
+    const condition = this.translate(statement.condition, lines, pad, { expression: true });
+    lines.push(`${pad}${keyword} ${condition} THEN`, ...this.writeBranch(statement.thenBranch, indent + 1));
+
+    const elseBranch = statement.elseBranch;
+    if (elseBranch && elseBranch.type === 'if' && (elseBranch.comments || []).length === 0) {
+      lines.push(...this.writeIf(elseBranch, indent, 'ELSIF'));
+    } else if (elseBranch) {
+      lines.push(`${pad}ELSE`, ...this.writeBranch(elseBranch, indent + 1));
+    }
+
+    return lines;
+  }
+
+  writeDeclare(rest, lines, pad, original) {
+    for (const declaration of splitOnCommas(rest)) {
+      const parts = significant(declaration);
+      const variable = parts[0];
+
+      if (!variable || variable.type !== 'variable') {
+        this.todo(lines, pad, 'declaration not converted (cursor?)', original);
+        return;
+      }
+
+      const assignIndex = declaration.findIndex(n => isOperator(n, '='));
+      const typeNodes = declaration.slice(declaration.indexOf(variable) + 1, assignIndex === -1 ? declaration.length : assignIndex)
+        .filter(n => upper(n) !== 'AS');
+      const typeWord = upper(significant(typeNodes)[0]);
+
+      if (typeWord === 'TABLE' || typeWord === 'CURSOR') {
+        this.todo(lines, pad, `${typeWord.toLowerCase()} variable ${variable.value} not converted (consider a temporary table or a cursor loop)`, nodesToText(declaration));
+        continue;
+      }
+
+      const typeText = nodesToText(typeNodes).trim();
+      const userType = this.resolveUserType(typeText);
+      if (userType && userType.isTableType) {
+        this.todo(lines, pad, `table variable ${variable.value} of type ${typeText} not converted (use an array of ${userType.name} or a temporary table)`, nodesToText(declaration));
+        continue;
+      }
+
+      const type = userType ? { type: userType.name, complete: true } : translateTypeReference(typeText);
+      if (!type.complete) {
+        this.todo(lines, pad, `unknown type for ${variable.value}: ${typeText}`);
+      }
+      const name = this.declareLocal(variable.value, type.type);
+
+      if (assignIndex !== -1) {
+        const value = this.translate(declaration.slice(assignIndex + 1), lines, pad, { expression: true });
+        lines.push(`${pad}${name} := ${value};`);
+      }
+    }
+  }
+
+  /**
+   * Resolves a type name such as [dbo].[PhoneNumber] to a migrated user-defined type
+   * @returns {{name: string, isTableType: boolean}|null}
+   */
+  resolveUserType(typeText) {
+    const match = typeText.match(/^(?:(\[[^\]]+\]|[A-Za-z_][\w$#@]*)\s*\.\s*)?(\[[^\]]+\]|[A-Za-z_][\w$#@]*)$/);
+    if (!match || !this.mapUserType) return null;
+
+    const unquote = part => part && part.replace(/^\[|\]$/g, '');
+    return this.mapUserType(unquote(match[1]) || null, unquote(match[2]));
+  }
+
+  writeSet(rest, lines, pad, original) {
+    const parts = significant(rest);
+    const target = parts[0];
+
+    if (target && target.type === 'variable') {
+      const operatorIndex = rest.findIndex(n => n.type === 'operator');
+      const operator = rest[operatorIndex] ? rest[operatorIndex].value : '=';
+      const name = this.mapVariable(target.value);
+      const value = this.translate(rest.slice(operatorIndex + 1), lines, pad, { expression: true });
+
+      lines.push(operator === '='
+        ? `${pad}${name} := ${value};`
+        : `${pad}${name} := ${name} ${operator.charAt(0)} (${value});`);
+      return;
+    }
+
+    if (IGNORED_SET_OPTIONS.has(upper(target))) {
+      lines.push(`${pad}-- ${original.trim()} (not needed in PostgreSQL)`);
+      return;
+    }
+
+    this.todo(lines, pad, 'SET option not converted', original);
+  }
+
+  writeSelect(nodes, rest, lines, pad, original) {
+    // Skip an optional TOP clause to find the first select item
+    let items = rest;
+    const first = significant(rest)[0];
+    if (upper(first) === 'TOP') {
+      const topIndex = rest.indexOf(first);
+      let skip = topIndex + 1;
+      while (skip < rest.length && !isSignificant(rest[skip])) skip++;
+      items = rest.slice(skip + 1);
+    }
+
+    const firstItem = significant(items);
+    const isAssignment = firstItem[0] && firstItem[0].type === 'variable' && isOperator(firstItem[1], '=');
+
+    if (!isAssignment) {
+      if (this.kind === 'procedure') {
+        this.todo(lines, pad, 'procedure returns a result set; PostgreSQL procedures cannot return rows (use a function returning TABLE or a refcursor)');
+        const sql = this.translate(nodes, lines, pad);
+        sql.trim().split('\n').forEach(line => lines.push(`${pad}-- ${line.trimEnd()}`));
+      } else {
+        this.appendStatement(lines, pad, `PERFORM ${this.translate(rest, lines, pad)}`);
+      }
+      return;
+    }
+
+    const fromIndex = items.findIndex(n => ['FROM', 'WHERE', 'ORDER', 'GROUP'].includes(upper(n)));
+    const selectList = fromIndex === -1 ? items : items.slice(0, fromIndex);
+    const assignments = splitOnCommas(selectList).map(item => {
+      const operatorIndex = item.findIndex(n => isOperator(n, '='));
+      return {
+        variable: this.mapVariable(significant(item)[0].value),
+        expression: item.slice(operatorIndex + 1)
+      };
+    });
+
+    if (fromIndex === -1) {
+      for (const assignment of assignments) {
+        lines.push(`${pad}${assignment.variable} := ${this.translate(assignment.expression, lines, pad, { expression: true })};`);
+      }
+      return;
+    }
+
+    // Rebuild the query without the @variable = prefixes, then add INTO
+    const prefix = nodes.slice(0, nodes.length - items.length);
+    const columns = assignments.map(a => nodesToText(a.expression).trim()).join(', ');
+    const query = parse(`${nodesToText(prefix).trimEnd()} ${columns} ${nodesToText(items.slice(fromIndex))}`);
+    const sql = this.translate(query, lines, pad);
+    this.appendStatement(lines, pad, `${sql}\nINTO ${assignments.map(a => a.variable).join(', ')}`);
+  }
+
+  writeInsert(nodes, rest, lines, pad, original) {
+    const parts = significant(rest);
+    const target = upper(parts[0]) === 'INTO' ? parts[1] : parts[0];
+
+    if (target && target.type === 'variable') {
+      if (this.resultVariable && target.value.toLowerCase() === this.resultVariable.toLowerCase()) {
+        const sourceIndex = rest.findIndex(n => ['SELECT', 'VALUES', 'WITH'].includes(upper(n)));
+        if (sourceIndex !== -1) {
+          this.appendStatement(lines, pad, `RETURN QUERY ${this.translate(rest.slice(sourceIndex), lines, pad)}`);
+          return;
+        }
+      }
+      this.todo(lines, pad, `INSERT into table variable ${target.value} not converted`, original);
+      return;
+    }
+
+    if (parts.some(n => ['EXEC', 'EXECUTE'].includes(upper(n)))) {
+      this.todo(lines, pad, 'INSERT ... EXEC not converted', original);
+      return;
+    }
+
+    this.appendStatement(lines, pad, this.translate(nodes, lines, pad));
+  }
+
+  writeExec(rest, lines, pad, original) {
+    const parts = significant(rest);
+
+    if (parts[0] && parts[0].type === 'group') {
+      const sql = this.translate(parts[0].children, lines, pad, { expression: true });
+      lines.push(`${pad}EXECUTE ${sql};`);
+      return;
+    }
+
+    if (parts[0] && parts[0].type === 'variable') {
+      this.todo(lines, pad, 'procedure return code not captured', original);
+      return;
+    }
+
+    // Procedure name (possibly multi-part)
+    const nameParts = [];
+    let index = rest.indexOf(parts[0]);
+    while (rest[index] && (rest[index].type === 'identifier' || rest[index].type === 'word')) {
+      nameParts.push(rest[index].name);
+      if (!isPunctuation(rest[index + 1], '.')) break;
+      index += 2;
+    }
+
+    if (nameParts.length === 0 || /^(sp|xp)_/i.test(nameParts[nameParts.length - 1])) {
+      this.todo(lines, pad, 'system procedure or dynamic SQL call not converted', original);
+      return;
+    }
+
+    const args = splitOnCommas(rest.slice(index + 1)).map(arg => {
+      const argParts = significant(arg);
+      const valueNodes = arg.filter(n => !['OUTPUT', 'OUT'].includes(upper(n)));
+      if (argParts[0] && argParts[0].type === 'variable' && isOperator(argParts[1], '=')) {
+        const operatorIndex = valueNodes.findIndex(n => isOperator(n, '='));
+        const value = this.translate(valueNodes.slice(operatorIndex + 1), lines, pad, { expression: true });
+        return `${variableName(argParts[0].value, 'p_')} => ${value}`;
+      }
+      return this.translate(valueNodes, lines, pad, { expression: true });
+    });
+
+    const mapped = this.mapFunction ? this.mapFunction(nameParts) : null;
+    const name = mapped || nameParts.map(part => escapeIdentifier(part)).join('.');
+    if (!mapped) {
+      this.todo(lines, pad, `called procedure ${nameParts.join('.')} is not part of this migration`);
+    }
+    lines.push(`${pad}CALL ${name}(${args.join(', ')});`);
+  }
+
+  writeRaiserror(rest, lines, pad, original) {
+    const group = significant(rest)[0];
+    if (!group || group.type !== 'group') {
+      this.todo(lines, pad, 'RAISERROR not converted', original);
+      return;
+    }
+
+    const args = splitOnCommas(group.children);
+    const message = significant(args[0] || [])[0];
+    const severity = parseInt(nodesToText(args[1] || []).trim());
+    const level = severity <= 10 ? 'NOTICE' : 'EXCEPTION';
+
+    if (message && message.type === 'string') {
+      const format = message.value.replace(/^N/i, '').replace(/%-?\d*l?[sdiu]/g, '%');
+      const values = args.slice(3).map(arg => this.translate(arg, lines, pad, { expression: true }));
+      lines.push(`${pad}RAISE ${level} ${[format, ...values].join(', ')};`);
+    } else if (message && message.type === 'number') {
+      this.todo(lines, pad, `RAISERROR with message id ${message.value} not converted`, original);
+    } else {
+      lines.push(`${pad}RAISE ${level} '%', ${this.translate(args[0], lines, pad, { expression: true })};`);
+    }
+  }
+
+  writeReturn(rest, lines, pad, original) {
+    const hasValue = rest.some(isSignificant);
+
+    switch (this.kind) {
+      case 'function':
+        lines.push(hasValue ? `${pad}RETURN ${this.translate(rest, lines, pad, { expression: true })};` : `${pad}RETURN NULL;`);
+        break;
+
+      case 'trigger':
+        lines.push(`${pad}RETURN NULL;`);
+        break;
+
+      case 'inline': {
+        const parts = significant(rest);
+        const query = parts.length === 1 && parts[0].type === 'group' ? parts[0].children : rest;
+        this.appendStatement(lines, pad, `RETURN QUERY ${this.translate(query, lines, pad)}`);
+        break;
+      }
+
+      default:
+        if (hasValue && this.kind === 'procedure') {
+          this.todo(lines, pad, 'procedure return code dropped (PostgreSQL procedures do not return values)', original);
+        }
+        lines.push(`${pad}RETURN;`);
+    }
+  }
+}
+
+/**
+ * Splits a CREATE PROCEDURE/FUNCTION/TRIGGER definition into header and body nodes
+ */
+function splitDefinition(definition) {
+  const nodes = parse(definition);
+  const keywordIndex = nodes.findIndex(n => ['PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER'].includes(upper(n)));
+  if (keywordIndex === -1) return null;
+
+  // Routine name
+  let index = nodes.findIndex((n, i) => i > keywordIndex && isSignificant(n));
+  while (isPunctuation(nodes[index + 1], '.')) index += 2;
+
+  let previous = null;
+  let resultVariable = null;
+  let seenReturns = false;
+
+  for (let i = index + 1; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (!isSignificant(node)) continue;
+
+    const word = upper(node);
+    if (word === 'RETURNS') {
+      seenReturns = true;
+    } else if (seenReturns && !resultVariable && node.type === 'variable') {
+      resultVariable = node.value;
+    } else if (word === 'AS' && !(previous && previous.type === 'variable') && upper(previous) !== 'EXECUTE') {
+      return {
+        header: nodes.slice(index + 1, i),
+        body: nodes.slice(i + 1),
+        resultVariable
+      };
+    }
+
+    previous = node;
+  }
+
+  return null;
+}
+
+/**
+ * Reads parameter default values (@p int = 5) from the routine header
+ */
+function readParameterDefaults(header) {
+  const defaults = new Map();
+  const first = significant(header)[0];
+  const paramNodes = first && first.type === 'group' ? first.children : header;
+
+  for (const param of splitOnCommas(paramNodes)) {
+    const parts = significant(param);
+    const assignIndex = param.findIndex(n => isOperator(n, '='));
+    if (!parts[0] || parts[0].type !== 'variable' || assignIndex === -1) continue;
+
+    const valueNodes = param.slice(assignIndex + 1);
+    const end = valueNodes.findIndex(n => ['OUTPUT', 'OUT', 'READONLY', 'RETURNS', 'WITH', 'AS'].includes(upper(n)));
+    defaults.set(parts[0].value.toLowerCase(), end === -1 ? valueNodes : valueNodes.slice(0, end));
+  }
+
+  return defaults;
+}
+
+/**
+ * Maps a column or parameter description from the MSSQL catalog to a PostgreSQL type
+ */
+function mapCatalogType(item, mapUserType = null) {
+  const userType = item.isUserDefined && mapUserType ? mapUserType(item.userTypeSchema, item.userType) : null;
+  if (userType) {
+    // Table-valued parameters are passed as arrays of the composite type
+    return userType.isTableType ? `${userType.name}[]` : userType.name;
+  }
+  return mapDataType(item.dataType, item.maxLength, item.precision, item.scale);
+}
+
+/**
+ * Converts a T-SQL body into a PL/pgSQL block including its DECLARE section
+ * @param {PlpgsqlWriter} writer - Writer holding parameters and naming state
+ * @param {Array<Object>} bodyNodes - Nodes following the AS of the definition
+ * @param {string[]} directives - Lines placed before the block (e.g. #variable_conflict)
+ * @param {string[]} prologue - Statements run before the converted body
+ * @param {string[]} epilogue - Statements run after the converted body
+ */
+function writeBody(writer, bodyNodes, directives = [], prologue = [], epilogue = []) {
+  writer.usesRowCount = /@@rowcount/i.test(nodesToText(bodyNodes));
+  if (writer.usesRowCount) {
+    writer.declarations.push('v_rowcount INTEGER := 0;');
+  }
+
+  const parser = new StatementParser(bodyNodes);
+  let statements = parser.parseStatements(() => false);
+  if (statements.length === 1 && statements[0].type === 'block') {
+    statements = statements[0].body;
+  }
+  const bodyLines = writer.writeStatements(statements, 1);
+
+  return [
+    ...directives,
+    ...(writer.declarations.length > 0 ? ['DECLARE', ...writer.declarations.map(d => `  ${d}`)] : []),
+    'BEGIN',
+    ...prologue.map(line => `  ${line}`),
+    ...bodyLines,
+    ...epilogue.map(line => `  ${line}`),
+    'END;'
+  ].join('\n');
+}
+
+/**
+ * Picks a dollar quote that does not occur in the function body
+ */
+function dollarQuote(body) {
+  return body.includes('$$') ? '$body$' : '$$';
+}
+
+/**
+ * Converts an MSSQL stored procedure or function into a PL/pgSQL draft
+ * @param {Object} routine - Routine metadata
+ * @param {string} routine.schemaName - Source schema
+ * @param {string} routine.name - Source routine name
+ * @param {string} routine.type - sys.objects type: P, FN, IF or TF
+ * @param {string|null} routine.definition - T-SQL text from sys.sql_modules
+ * @param {string} routine.qualifiedName - Escaped PostgreSQL name to create
+ * @param {Array<Object>} routine.parameters - Parameters from sys.parameters
+ * @param {Object|null} routine.returnType - Return type of scalar functions
+ * @param {Array<Object>} routine.resultColumns - Result columns of table-valued functions
+ * @param {Object} options - Name resolution options
+ * @param {Function} [options.mapTable] - Resolves table/view name parts to target names
+ * @param {Function} [options.mapFunction] - Resolves routine name parts to target names
+ * @param {Function} [options.mapIdentifier] - Maps column and other identifiers to target names
+ * @param {Function} [options.mapUserType] - Resolves (schema or null, name) of a user-defined type to
+ *   {name, isTableType} for its domain or composite type, or returns null
+ * @returns {{sql: string, todos: string[]}} The draft and the TODO markers it contains
+ */
+function convertRoutine(routine, options = {}) {
+  const kind = ROUTINE_KINDS[routine.type];
+  const sourceName = `[${routine.schemaName}].[${routine.name}]`;
+  const header = [`-- Converted from MSSQL ${kind === 'procedure' ? 'procedure' : 'function'} ${sourceName}`];
+
+  const parts = routine.definition ? splitDefinition(routine.definition) : null;
+  if (!parts) {
+    const reason = routine.definition ? 'could not parse the routine definition' : 'definition is not available (encrypted routine)';
+    return {
+      sql: [...header, `-- TODO: ${reason}`, ''].join('\n'),
+      todos: [reason]
+    };
+  }
+
+  const writer = new PlpgsqlWriter(kind, { ...options, resultVariable: parts.resultVariable });
+  const defaults = readParameterDefaults(parts.header);
+  const signatureLines = [];
+
+  // Parameters
+  const parameters = [];
+  let defaultSeen = false;
+  for (const param of routine.parameters) {
+    const name = writer.addParameter(param.name);
+    const mode = param.isOutput && kind === 'procedure' ? 'INOUT ' : '';
+    const type = mapCatalogType(param, options.mapUserType);
+    let definition = `${mode}${name} ${type}`;
+
+    if (param.isReadOnly && type.endsWith('[]')) {
+      writer.todo(signatureLines, '', `table-valued parameter ${param.name} is passed as ${type}; read it with unnest(${name}) where the body selects from it`);
+    } else if (param.isReadOnly) {
+      writer.todo(signatureLines, '', `table-valued parameter ${param.name} (${param.userType}) needs a composite or array type`);
+    }
+
+    const defaultNodes = defaults.get(param.name.toLowerCase());
+    if (defaultNodes) {
+      definition += ` DEFAULT ${writer.translate(defaultNodes, signatureLines, '', { expression: true })}`;
+      defaultSeen = true;
+    } else if (defaultSeen) {
+      writer.todo(signatureLines, '', `parameter ${param.name} follows a parameter with a default; PostgreSQL requires defaults for all following parameters`);
+    }
+
+    parameters.push(definition);
+  }
+
+  const body = writeBody(writer, parts.body, kind === 'inline' || kind === 'table' ? ['#variable_conflict use_column'] : []);
+  const quote = dollarQuote(body);
+
+  let returns = '';
+  if (kind === 'function') {
+    returns = `RETURNS ${routine.returnType ? mapCatalogType(routine.returnType, options.mapUserType) : 'TEXT'}\n`;
+  } else if (kind === 'inline' || kind === 'table') {
+    const mapIdentifier = options.mapIdentifier || (name => name);
+    const columns = routine.resultColumns.map(c => `${escapeIdentifier(mapIdentifier(c.name))} ${mapCatalogType(c, options.mapUserType)}`);
+    returns = `RETURNS TABLE (${columns.join(', ')})\n`;
+  }
+
+  const sql = [
+    ...header,
+    `-- Draft generated by the migration script: review before use (${writer.todos.length} TODO markers)`,
+    ...signatureLines,
+    '',
+    `CREATE OR REPLACE ${kind === 'procedure' ? 'PROCEDURE' : 'FUNCTION'} ${routine.qualifiedName}(${parameters.join(', ')})`,
+    `${returns}LANGUAGE plpgsql`,
+    `AS ${quote}`,
+    body,
+    `${quote};`,
+    ''
+  ].join('\n');
+
+  return { sql, todos: writer.todos };
+}
+
+/**
+ * Converts an MSSQL DML trigger into statement-level PL/pgSQL trigger functions
+ * The inserted/deleted pseudo-tables become transition tables. PostgreSQL only
+ * allows transition tables on single-event triggers, so a trigger covering
+ * several events gets one function and one trigger per event; a pseudo-table
+ * the event does not provide is replaced by an empty row set.
+ * @param {Object} trigger - Trigger metadata
+ * @param {string} trigger.schemaName - Source schema
+ * @param {string} trigger.name - Source trigger name
+ * @param {string|null} trigger.definition - T-SQL text from sys.sql_modules
+ * @param {string[]} trigger.events - INSERT, UPDATE and/or DELETE
+ * @param {boolean} trigger.isInsteadOf - Whether this is an INSTEAD OF trigger
+ * @param {boolean} trigger.isDisabled - Whether the trigger is disabled in MSSQL
+ * @param {string} trigger.qualifiedTable - Escaped PostgreSQL name of the parent table
+ * @param {string|null} trigger.functionSchema - PostgreSQL schema for the trigger functions
+ * @param {string} trigger.functionName - Base name for the trigger functions
+ * @param {Object} options - Name resolution options (see convertRoutine)
+ * @returns {{sql: string, todos: string[]}} The draft and the TODO markers it contains
+ */
+function convertTrigger(trigger, options = {}) {
+  const header = [`-- Converted from MSSQL trigger [${trigger.schemaName}].[${trigger.name}]`];
+  const parts = trigger.definition ? splitDefinition(trigger.definition) : null;
+
+  if (!parts) {
+    const reason = trigger.definition ? 'could not parse the trigger definition' : 'definition is not available (encrypted trigger)';
+    return {
+      sql: [...header, `-- TODO: ${reason}`, ''].join('\n'),
+      todos: [reason]
+    };
+  }
+
+  const todos = [];
+  const statements = [];
+  const multipleEvents = trigger.events.length > 1;
+
+  if (trigger.isInsteadOf) {
+    todos.push('INSTEAD OF trigger: PostgreSQL supports INSTEAD OF only as row-level triggers on views');
+    header.push(`-- TODO: ${todos[0]}`);
+  }
+
+  for (const event of trigger.events) {
+    const available = {
+      inserted: event !== 'DELETE',
+      deleted: event !== 'INSERT'
+    };
+    const suffix = multipleEvents ? `_${event.toLowerCase()}` : '';
+    const functionName = [trigger.functionSchema, `${trigger.functionName}${suffix}`]
+      .filter(Boolean).map(part => escapeIdentifier(part)).join('.');
+    const triggerName = escapeIdentifier(`${trigger.name}${suffix}`);
+
+    const writer = new PlpgsqlWriter('trigger', {
+      ...options,
+      triggerEvent: event,
+      mapTable: names => {
+        const pseudoTable = names.length === 1 ? names[0].toLowerCase() : null;
+        if (pseudoTable === 'inserted' || pseudoTable === 'deleted') {
+          const other = pseudoTable === 'inserted' ? 'deleted' : 'inserted';
+          return available[pseudoTable] ? pseudoTable : `(SELECT * FROM ${other} WHERE FALSE)`;
+        }
+        return options.mapTable ? options.mapTable(names) : null;
+      }
+    });
+
+    const rowCount = [];
+    if (/@@rowcount/i.test(nodesToText(parts.body))) {
+      rowCount.push(`SELECT count(*) INTO v_rowcount FROM ${event === 'DELETE' ? 'deleted' : 'inserted'};`);
+    }
+    const body = writeBody(writer, parts.body, [], rowCount, ['RETURN NULL;']);
+    const quote = dollarQuote(body);
+    todos.push(...writer.todos);
+
+    const referencing = [
+      available.inserted ? 'NEW TABLE AS inserted' : null,
+      available.deleted ? 'OLD TABLE AS deleted' : null
+    ].filter(Boolean).join(' ');
+    const createTrigger = [
+      `DROP TRIGGER IF EXISTS ${triggerName} ON ${trigger.qualifiedTable};`,
+      `CREATE TRIGGER ${triggerName}`,
+      `AFTER ${event} ON ${trigger.qualifiedTable}`,
+      `REFERENCING ${referencing}`,
+      `FOR EACH STATEMENT EXECUTE FUNCTION ${functionName}();`,
+      ...(trigger.isDisabled ? [`ALTER TABLE ${trigger.qualifiedTable} DISABLE TRIGGER ${triggerName};`] : [])
+    ];
+
+    statements.push(
+      '',
+      `CREATE OR REPLACE FUNCTION ${functionName}()`,
+      'RETURNS trigger',
+      'LANGUAGE plpgsql',
+      `AS ${quote}`,
+      body,
+      `${quote};`,
+      '',
+      ...(trigger.isInsteadOf ? createTrigger.map(line => `-- ${line}`) : createTrigger)
+    );
+  }
+
+  const sql = [
+    ...header,
+    `-- Draft generated by the migration script (${todos.length} TODO markers)`,
+    ...statements,
+    ''
+  ].join('\n');
+
+  return { sql, todos };
+}
+
+module.exports = {
+  convertRoutine,
+  convertTrigger
+};
@@ -0,0 +1,164 @@
+/**
+ * Row Normalization and Checksums for Data Verification
+ * Values read from MSSQL (mssql driver) and PostgreSQL (pg driver) are
+ * normalized to the same text form, so rows that survived the migration
+ * intact hash to the same value on both sides.
+ */
+
+const crypto = require('crypto');
+const { toLtreePath } = require('./hierarchy');
+const { formatVariantJson } = require('./variant');
+
+const CHECKSUM_MASK = (1n << 64n) - 1n;
+
+/**
+ * Format a time of day as HH:MM:SS.mmm from "HH:MM:SS[.fffffff]" text
+ */
+function normalizeTimeText(text) {
+  const [whole, fraction = ''] = text.split('.');
+  return `${whole}.${fraction.padEnd(3, '0').slice(0, 3)}`;
+}
+
+/**
+ * Canonical text of an exact numeric value: 12.5000 and 12.5 compare equal, but
+ * every significant digit is kept
+ */
+function normalizeDecimalText(text) {
+  const [whole, fraction = ''] = text.trim().split('.');
+  const sign = whole.startsWith('-') ? '-' : '';
+  const digits = whole.replace(/^[-+]/, '').replace(/^0+(?=\d)/, '') || '0';
+  const significantFraction = fraction.replace(/0+$/, '');
+  if (digits === '0' && significantFraction === '') return '0';
+  return `${sign}${digits}${significantFraction ? `.${significantFraction}` : ''}`;
+}
+
+/**
+ * Normalize a single value to its comparable text form
+ * Timestamps are compared at millisecond precision (the precision the loader
+ * writes), char/nchar padding is ignored, bit and boolean both become t/f.
+ * Exact numerics are compared digit for digit, see normalizeDecimalText.
+ * @param {*} value - Value from either driver
+ * @param {Object} column - Column metadata (dataType is the MSSQL type name)
+ * @returns {string|null} Normalized value, null for NULL
+ */
+function normalizeValue(value, column) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  switch (column.dataType.toLowerCase()) {
+    case 'bit':
+      return value === true || value === 1 || value === 't' || value === '1' ? 't' : 'f';
+
+    case 'char':
+    case 'nchar':
+      return String(value).trimEnd();
+
+    case 'tinyint':
+    case 'smallint':
+    case 'int':
+    case 'float':
+      return String(Number(value));
+
+    case 'decimal':
+    case 'numeric':
+    case 'money':
+    case 'smallmoney':
+      // Read as text from both sides; numbers only come from columns with a type override
+      return typeof value === 'number' ? String(value) : normalizeDecimalText(String(value));
+
+    case 'real':
+      return String(Math.fround(Number(value)));
+
+    case 'bigint':
+      return String(value);
+
+    case 'uniqueidentifier':
+      return String(value).toLowerCase();
+
+    case 'date':
+      return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+
+    case 'datetime':
+    case 'datetime2':
+    case 'smalldatetime':
+      // mssql returns the wall-clock time as a UTC Date, pg is asked for the raw text
+      if (value instanceof Date) {
+        return value.toISOString().replace('T', ' ').slice(0, 23);
+      }
+      return `${String(value).slice(0, 10)} ${normalizeTimeText(String(value).slice(11))}`;
+
+    case 'time':
+      return value instanceof Date ? value.toISOString().slice(11, 23) : normalizeTimeText(String(value));
+
+    case 'datetimeoffset':
+      return new Date(value).toISOString();
+
+    case 'hierarchyid':
+      // MSSQL paths compare with ltree columns in their label form
+      return column.hierarchyFormat === 'ltree' && String(value).startsWith('/') ? toLtreePath(String(value)) : String(value);
+
+    case 'sql_variant':
+      // MSSQL values ("<base type>:<text>") compare with the parsed JSONB objects read from PostgreSQL
+      if (typeof value === 'string') {
+        return JSON.stringify(JSON.parse(formatVariantJson(value)));
+      }
+      break;
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return '\\x' + value.toString('hex');
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+
+  return String(value);
+}
+
+/**
+ * Hash a normalized row to a 64-bit value
+ * @returns {bigint}
+ */
+function hashRow(row, columns) {
+  const values = columns.map(col => normalizeValue(row[col.name], col));
+  const digest = crypto.createHash('md5').update(JSON.stringify(values)).digest('hex');
+  return BigInt(`0x${digest.slice(0, 16)}`);
+}
+
+/**
+ * Create an empty order-independent checksum
+ * Row hashes are added modulo 2^64, so the result does not depend on the
+ * order rows are read in and duplicate rows still count.
+ */
+function createChecksum() {
+  return { rows: 0, sum: 0n };
+}
+
+/**
+ * Add a batch of rows to a checksum
+ */
+function addRows(checksum, rows, columns) {
+  for (const row of rows) {
+    checksum.sum = (checksum.sum + hashRow(row, columns)) & CHECKSUM_MASK;
+    checksum.rows++;
+  }
+  return checksum;
+}
+
+function formatChecksum(checksum) {
+  return checksum.sum.toString(16).padStart(16, '0');
+}
+
+module.exports = {
+  normalizeValue,
+  hashRow,
+  createChecksum,
+  addRows,
+  formatChecksum
+};
@@ -0,0 +1,73 @@
+/**
+ * MSSQL Spatial Types to PostGIS
+ * geometry and geography values are read from MSSQL as WKB prefixed with their
+ * SRID and written to PostGIS as EWKB; without PostGIS they become WKT text.
+ */
+
+const SPATIAL_TYPES = new Set(['geometry', 'geography']);
+
+// EWKB flag on the geometry type code marking that an SRID follows it
+const EWKB_SRID_FLAG = 0x20000000;
+
+function isSpatialType(mssqlType) {
+  return SPATIAL_TYPES.has(mssqlType.toLowerCase());
+}
+
+/**
+ * Map an MSSQL spatial type to a PostGIS column type
+ * @param {string} mssqlType - geometry or geography
+ * @param {number|null} srid - SRID shared by all values of the column, or null to accept any SRID
+ * @returns {string} e.g. GEOMETRY(Geometry, 4326)
+ */
+function mapSpatialType(mssqlType, srid = null) {
+  const type = mssqlType.toLowerCase() === 'geography' ? 'GEOGRAPHY' : 'GEOMETRY';
+  return srid === null ? type : `${type}(Geometry, ${srid})`;
+}
+
+/**
+ * MSSQL expression reading a spatial column in the given format
+ * @param {string} column - Column reference, e.g. [Location] or t.[Location]
+ * @param {string} format - ewkb (4-byte SRID followed by WKB, see toEwkbHex), wkb or wkt
+ */
+function selectSpatialValue(column, format) {
+  switch (format) {
+    case 'ewkb':
+      return `CAST(${column}.STSrid AS BINARY(4)) + ${column}.STAsBinary()`;
+    case 'wkb':
+      return `${column}.STAsBinary()`;
+    default:
+      return `${column}.STAsText()`;
+  }
+}
+
+/**
+ * Convert a value read with the ewkb expression into hex EWKB
+ * The big-endian SRID in front of the WKB moves behind the type code, which gets
+ * the SRID flag; PostGIS accepts the hex text as geometry and geography input.
+ * @param {Buffer} value - SRID (4 bytes) followed by WKB
+ * @returns {string}
+ */
+function toEwkbHex(value) {
+  const srid = value.readInt32BE(0);
+  const wkb = value.subarray(4);
+  const littleEndian = wkb[0] === 1;
+
+  const header = Buffer.alloc(9);
+  header[0] = wkb[0];
+  if (littleEndian) {
+    header.writeUInt32LE((wkb.readUInt32LE(1) | EWKB_SRID_FLAG) >>> 0, 1);
+    header.writeInt32LE(srid, 5);
+  } else {
+    header.writeUInt32BE((wkb.readUInt32BE(1) | EWKB_SRID_FLAG) >>> 0, 1);
+    header.writeInt32BE(srid, 5);
+  }
+
+  return Buffer.concat([header, wkb.subarray(5)]).toString('hex');
+}
+
+module.exports = {
+  isSpatialType,
+  mapSpatialType,
+  selectSpatialValue,
+  toEwkbHex
+};
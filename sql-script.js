@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQL script writer for dry runs
+ * Collects the generated statements in execution order in a file that can be
+ * reviewed and later executed with psql -f.
+ */
+class SqlScriptWriter {
+  /**
+   * @param {string} filePath - Path of the .sql file to write
+   * @param {Object} details - Header lines (label -> value)
+   */
+  constructor(filePath, details = {}) {
+    this.filePath = filePath;
+    this.statementCount = 0;
+    this.pendingSection = null;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const header = [
+      `-- ${'='.repeat(76)}`,
+      '-- MSSQL TO POSTGRESQL MIGRATION SCRIPT (DRY RUN)',
+      `-- Generated: ${new Date().toISOString()}`,
+      ...Object.entries(details).map(([key, value]) => `-- ${key}: ${value}`),
+      '--',
+      '-- Run with: psql -h <host> -U <user> -d postgres -f <this file>',
+      '-- The script creates the target database if needed and connects to it.',
+      `-- ${'='.repeat(76)}`,
+      ''
+    ];
+    fs.writeFileSync(filePath, header.join('\n') + '\n');
+  }
+
+  /**
+   * Start a new section; its heading is only written once something follows it
+   */
+  section(title) {
+    this.pendingSection = title;
+  }
+
+  comment(text) {
+    this.append(text.split('\n').map(line => `-- ${line}`.trimEnd()).join('\n') + '\n');
+  }
+
+  /**
+   * Append one SQL statement (or a block of statements) terminated by a semicolon
+   */
+  statement(sql) {
+    const text = sql.trim();
+    this.append(`${text.endsWith(';') ? text : `${text};`}\n\n`);
+    this.statementCount++;
+  }
+
+  /**
+   * Append a line as-is, e.g. a psql meta-command
+   */
+  raw(line) {
+    this.append(`${line}\n`);
+  }
+
+  append(text) {
+    if (this.pendingSection) {
+      const separator = `-- ${'-'.repeat(76)}`;
+      fs.appendFileSync(this.filePath, `\n${separator}\n-- ${this.pendingSection.toUpperCase()}\n${separator}\n\n`);
+      this.pendingSection = null;
+    }
+    fs.appendFileSync(this.filePath, text);
+  }
+
+  getFilePath() {
+    return this.filePath;
+  }
+}
+
+module.exports = SqlScriptWriter;
@@ -0,0 +1,1092 @@
+/**
+ * T-SQL to PostgreSQL Expression Translator
+ * Rewrites MSSQL expression text (CHECK clauses, index filters, ...) into
+ * PostgreSQL syntax and reports the constructs it could not translate
+ */
+
+const { mapDataType, escapeIdentifier, TYPE_MAPPINGS } = require('./type-mapper');
+
+const TOKEN_PATTERNS = [
+  ['whitespace', /\s+/y],
+  ['comment', /--[^\n]*|\/\*[\s\S]*?\*\//y],
+  ['string', /N?'(?:[^']|'')*'/iy],
+  ['identifier', /\[(?:[^\]]|\]\])*\]|"(?:[^"]|"")*"/y],
+  ['variable', /@@?[\p{L}\p{N}_#$@]+/uy],
+  ['binary', /0x[0-9a-f]*/iy],
+  ['number', /(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/iy],
+  ['word', /[\p{L}_#][\p{L}\p{N}_#$@]*/uy],
+  ['operator', /<>|!=|<=|>=|!<|!>|[-+*/%&|^]=|[-+*/%=<>&|^~]/y],
+  ['punctuation', /[(),.;]/y]
+];
+
+// Words that are never column or function names
+const KEYWORDS = new Set([
+  'ALL', 'AND', 'ANY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DESC', 'DISTINCT',
+  'ELSE', 'END', 'ESCAPE', 'EXISTS', 'FROM', 'FULL', 'GROUP', 'HAVING', 'IN', 'INNER',
+  'IS', 'JOIN', 'LIKE', 'NOT', 'NULL', 'ON', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION',
+  'SELECT', 'SOME', 'THEN', 'UNION', 'VALUES', 'WHEN', 'WHERE', 'WITH', 'COLLATE',
+  'CHECK', 'EXCEPT', 'FOR', 'INTERSECT', 'INTO', 'LEFT', 'OPTION', 'PERCENT', 'RIGHT', 'TOP',
+  'DELETE', 'INSERT', 'SET', 'TABLE', 'TRUNCATE', 'UPDATE'
+]);
+
+// Words that are only keywords next to specific neighbours (see markContextualKeywords)
+const CONTEXTUAL_KEYWORDS = new Set(['APPLY', 'FETCH', 'FIRST', 'NEXT', 'OFFSET', 'ONLY', 'ROW', 'ROWS', 'TIES']);
+
+const TABLE_HINTS = new Set([
+  'FORCESCAN', 'FORCESEEK', 'HOLDLOCK', 'INDEX', 'NOEXPAND', 'NOLOCK', 'NOWAIT', 'PAGLOCK',
+  'READCOMMITTED', 'READCOMMITTEDLOCK', 'READPAST', 'READUNCOMMITTED', 'REPEATABLEREAD',
+  'ROWLOCK', 'SERIALIZABLE', 'SNAPSHOT', 'TABLOCK', 'TABLOCKX', 'UPDLOCK', 'XLOCK'
+]);
+
+// Functions that exist with the same name and arguments in PostgreSQL
+const PASSTHROUGH_FUNCTIONS = new Set([
+  'ABS', 'ASCII', 'AVG', 'COALESCE', 'CONCAT', 'COS', 'COUNT', 'DEGREES', 'DENSE_RANK',
+  'EXP', 'FLOOR', 'LAG', 'LEAD', 'LEFT', 'LOWER', 'LTRIM', 'MAX', 'MIN', 'NTILE', 'NULLIF',
+  'PI', 'POWER', 'RADIANS', 'RANK', 'REPLACE', 'REVERSE', 'RIGHT', 'ROW_NUMBER', 'RTRIM',
+  'SIGN', 'SIN', 'SQRT', 'SUBSTRING', 'SUM', 'TAN', 'TRIM', 'UPPER'
+]);
+
+// Functions returning character data, used to detect + string concatenation
+const STRING_FUNCTIONS = new Set([
+  'CHAR', 'CONCAT', 'LEFT', 'LOWER', 'LTRIM', 'NCHAR', 'REPLACE', 'REPLICATE', 'REVERSE',
+  'RIGHT', 'RTRIM', 'SPACE', 'SUBSTRING', 'TRIM', 'UPPER'
+]);
+
+// Functions whose first argument is a type or datepart rather than an expression
+const RAW_FIRST_ARGUMENT = new Set(['CAST', 'CONVERT', 'DATEADD', 'DATEDIFF', 'DATEPART']);
+
+// Functions PostgreSQL does not consider IMMUTABLE, so they cannot appear in generated columns
+const NON_IMMUTABLE_FUNCTIONS = new Set([
+  'DB_NAME', 'GETDATE', 'GETUTCDATE', 'NEWID', 'NEWSEQUENTIALID', 'SUSER_NAME', 'SUSER_SNAME',
+  'SYSDATETIME', 'SYSDATETIMEOFFSET', 'SYSUTCDATETIME', 'USER_NAME'
+]);
+
+const CHARACTER_TYPES = new Set(['char', 'nchar', 'varchar', 'nvarchar', 'text', 'ntext', 'sysname']);
+
+const OPERATOR_TRANSLATIONS = {
+  '!<': '>=',
+  '!>': '<=',
+  '^': '#'
+};
+
+const NILADIC_FUNCTIONS = {
+  'CURRENT_TIMESTAMP': 'CURRENT_TIMESTAMP',
+  'CURRENT_USER': 'CURRENT_USER',
+  'SESSION_USER': 'SESSION_USER',
+  'SYSTEM_USER': 'CURRENT_USER',
+  'USER': 'CURRENT_USER'
+};
+
+const DATE_PARTS = {
+  year: 'year', yy: 'year', yyyy: 'year',
+  quarter: 'quarter', qq: 'quarter', q: 'quarter',
+  month: 'month', mm: 'month', m: 'month',
+  dayofyear: 'doy', dy: 'doy', y: 'doy',
+  day: 'day', dd: 'day', d: 'day',
+  week: 'week', wk: 'week', ww: 'week',
+  weekday: 'dow', dw: 'dow',
+  hour: 'hour', hh: 'hour',
+  minute: 'minute', mi: 'minute', n: 'minute',
+  second: 'second', ss: 'second', s: 'second',
+  millisecond: 'milliseconds', ms: 'milliseconds'
+};
+
+// CONVERT() date styles and their to_char()/to_timestamp() patterns
+const DATE_STYLES = {
+  23: 'YYYY-MM-DD',
+  101: 'MM/DD/YYYY',
+  103: 'DD/MM/YYYY',
+  104: 'DD.MM.YYYY',
+  105: 'DD-MM-YYYY',
+  108: 'HH24:MI:SS',
+  110: 'MM-DD-YYYY',
+  111: 'YYYY/MM/DD',
+  112: 'YYYYMMDD',
+  114: 'HH24:MI:SS:MS',
+  120: 'YYYY-MM-DD HH24:MI:SS',
+  121: 'YYYY-MM-DD HH24:MI:SS.MS',
+  126: 'YYYY-MM-DD"T"HH24:MI:SS.MS'
+};
+
+/**
+ * Splits T-SQL text into tokens
+ * @param {string} text - The T-SQL text
+ * @returns {Array<Object>} Tokens with type and value (identifiers also carry their unquoted name)
+ */
+function tokenize(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    let token = null;
+
+    for (const [type, pattern] of TOKEN_PATTERNS) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (match) {
+        token = { type, value: match[0] };
+        break;
+      }
+    }
+
+    if (!token) {
+      token = { type: 'other', value: text[position] };
+    }
+
+    if (token.type === 'identifier') {
+      token.name = token.value.startsWith('[')
+        ? token.value.slice(1, -1).replace(/\]\]/g, ']')
+        : token.value.slice(1, -1).replace(/""/g, '"');
+    } else if (token.type === 'word') {
+      token.name = token.value;
+    }
+
+    tokens.push(token);
+    position += token.value.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Flags words such as OFFSET/FETCH/ROWS/APPLY as keywords where their neighbours
+ * make that unambiguous; elsewhere they remain ordinary (column) names
+ */
+function markContextualKeywords(tokens) {
+  const significant = tokens.filter(isSignificant);
+  const upper = token => (token && token.type === 'word' ? token.value.toUpperCase() : null);
+
+  significant.forEach((token, i) => {
+    const word = upper(token);
+    if (!CONTEXTUAL_KEYWORDS.has(word)) return;
+
+    const previous = significant[i - 1];
+    const next = significant[i + 1];
+    const followsValue = previous && (['number', 'variable'].includes(previous.type) || isPunctuation(previous, ')'));
+
+    token.keyword =
+      (word === 'OFFSET' && !!next && (['number', 'variable'].includes(next.type) || isPunctuation(next, '('))) ||
+      (word === 'FETCH' && ['NEXT', 'FIRST'].includes(upper(next))) ||
+      ((word === 'NEXT' || word === 'FIRST') && upper(previous) === 'FETCH') ||
+      ((word === 'ROW' || word === 'ROWS') && !!followsValue) ||
+      (word === 'ONLY' && ['ROW', 'ROWS'].includes(upper(previous))) ||
+      (word === 'APPLY' && ['CROSS', 'OUTER'].includes(upper(previous))) ||
+      (word === 'TIES' && upper(previous) === 'WITH');
+  });
+
+  return tokens;
+}
+
+/**
+ * Nests tokens into parenthesized groups
+ */
+function buildTree(tokens) {
+  const root = [];
+  const stack = [root];
+
+  for (const token of tokens) {
+    if (token.type === 'punctuation' && token.value === '(') {
+      const group = { type: 'group', children: [] };
+      stack[stack.length - 1].push(group);
+      stack.push(group.children);
+    } else if (token.type === 'punctuation' && token.value === ')' && stack.length > 1) {
+      stack.pop();
+    } else {
+      stack[stack.length - 1].push(token);
+    }
+  }
+
+  return root;
+}
+
+function isSignificant(node) {
+  return node.type !== 'whitespace' && node.type !== 'comment';
+}
+
+function nextSignificant(nodes, index) {
+  for (let i = index + 1; i < nodes.length; i++) {
+    if (isSignificant(nodes[i])) return i;
+  }
+  return -1;
+}
+
+function previousSignificant(nodes, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    if (isSignificant(nodes[i])) return i;
+  }
+  return -1;
+}
+
+function isKeyword(node) {
+  return node.type === 'word' && (node.keyword || KEYWORDS.has(node.value.toUpperCase()));
+}
+
+function isName(node) {
+  return node.type === 'identifier' || (node.type === 'word' && !isKeyword(node));
+}
+
+function isWord(node, upper) {
+  return !!node && node.type === 'word' && node.value.toUpperCase() === upper;
+}
+
+function isPunctuation(node, value) {
+  return node && node.type === 'punctuation' && node.value === value;
+}
+
+/**
+ * Splits group children into top-level, comma-separated arguments
+ */
+function splitArguments(nodes) {
+  const args = [[]];
+  for (const node of nodes) {
+    if (isPunctuation(node, ',')) {
+      args.push([]);
+    } else {
+      args[args.length - 1].push(node);
+    }
+  }
+  return args.length === 1 && !args[0].some(isSignificant) ? [] : args;
+}
+
+/**
+ * Reads a multi-part name (schema.table.column) starting at index
+ * @returns {{parts: string[], end: number}} Name parts and index of the last node consumed
+ */
+function readName(nodes, index) {
+  const parts = [nodes[index].name];
+  let end = index;
+
+  while (isPunctuation(nodes[end + 1], '.') && nodes[end + 2] && isName(nodes[end + 2])) {
+    parts.push(nodes[end + 2].name);
+    end += 2;
+  }
+
+  return { parts, end };
+}
+
+/**
+ * Reads a type reference such as nvarchar(50) or decimal(10, 2) from argument nodes
+ */
+function readType(nodes) {
+  const significant = nodes.filter(isSignificant);
+  if (significant.length === 0 || !isName(significant[0])) return null;
+
+  const params = significant[1] && significant[1].type === 'group'
+    ? splitArguments(significant[1].children).map(arg => arg.filter(isSignificant).map(n => n.value).join(''))
+    : [];
+
+  return { name: significant[0].name.toLowerCase(), params };
+}
+
+/**
+ * Maps a T-SQL type reference from CAST/CONVERT to a PostgreSQL type
+ */
+function mapCastType(type, ctx) {
+  if (!type) {
+    ctx.unsupported.push('missing type in CAST/CONVERT');
+    return 'TEXT';
+  }
+
+  const [first, second] = type.params;
+  const length = first && first.toLowerCase() !== 'max' ? parseInt(first) : null;
+
+  if (type.name === 'varchar' || type.name === 'nvarchar') {
+    if (first && first.toLowerCase() === 'max') return 'TEXT';
+    return length ? `VARCHAR(${length})` : 'VARCHAR';
+  }
+  if (type.name === 'char' || type.name === 'nchar') {
+    return `CHAR(${length || 1})`;
+  }
+  if (type.name === 'decimal' || type.name === 'numeric') {
+    return mapDataType(type.name, null, first ? parseInt(first) : null, second ? parseInt(second) : null);
+  }
+  if (type.name === 'float') {
+    return mapDataType(type.name, null, length);
+  }
+  if (['datetime2', 'time', 'datetimeoffset'].includes(type.name)) {
+    return mapDataType(type.name, null, null, length);
+  }
+  if (TYPE_MAPPINGS[type.name]) {
+    return mapDataType(type.name);
+  }
+
+  ctx.unsupported.push(`unknown type "${type.name}" in CAST/CONVERT`);
+  return type.name;
+}
+
+/**
+ * Resolves a datepart argument (year, mm, dd, ...) to a PostgreSQL field name
+ */
+function readDatePart(nodes, ctx) {
+  const node = nodes.find(isSignificant);
+  const part = node ? DATE_PARTS[(node.name || node.value.replace(/'/g, '')).toLowerCase()] : null;
+  if (!part) {
+    ctx.unsupported.push(`unknown datepart "${node ? node.value : ''}"`);
+  }
+  return part;
+}
+
+const FUNCTION_TRANSLATIONS = {
+  ISNULL: ({ args }) => `COALESCE(${args.join(', ')})`,
+  LEN: ({ args }) => `LENGTH(RTRIM(${args[0]}))`,
+  DATALENGTH: ({ args }) => `OCTET_LENGTH(${args[0]})`,
+  GETDATE: () => 'CURRENT_TIMESTAMP',
+  SYSDATETIME: () => 'CURRENT_TIMESTAMP',
+  SYSDATETIMEOFFSET: () => 'CURRENT_TIMESTAMP',
+  GETUTCDATE: () => '(CURRENT_TIMESTAMP AT TIME ZONE \'UTC\')',
+  SYSUTCDATETIME: () => '(CURRENT_TIMESTAMP AT TIME ZONE \'UTC\')',
+  NEWID: () => 'gen_random_uuid()',
+  NEWSEQUENTIALID: () => 'gen_random_uuid()',
+  USER_NAME: () => 'CURRENT_USER',
+  SUSER_NAME: () => 'CURRENT_USER',
+  SUSER_SNAME: () => 'CURRENT_USER',
+  DB_NAME: () => 'current_database()',
+  ERROR_MESSAGE: () => 'SQLERRM',
+  CEILING: ({ args }) => `CEIL(${args[0]})`,
+  LOG: ({ args }) => args.length === 2 ? `(LN(${args[0]}) / LN(${args[1]}))` : `LN(${args[0]})`,
+  LOG10: ({ args }) => `LOG(${args[0]})`,
+  SQUARE: ({ args }) => `POWER(${args[0]}, 2)`,
+  CHAR: ({ args }) => `CHR(${args[0]})`,
+  NCHAR: ({ args }) => `CHR(${args[0]})`,
+  UNICODE: ({ args }) => `ASCII(${args[0]})`,
+  SPACE: ({ args }) => `REPEAT(' ', ${args[0]})`,
+  REPLICATE: ({ args }) => `REPEAT(${args[0]}, ${args[1]})`,
+  COUNT_BIG: ({ args }) => `COUNT(${args.join(', ')})`,
+  STDEV: ({ args }) => `STDDEV(${args[0]})`,
+  VAR: ({ args }) => `VARIANCE(${args[0]})`,
+  IIF: ({ args }) => `CASE WHEN ${args[0]} THEN ${args[1]} ELSE ${args[2]} END`,
+  ROUND: ({ args, ctx }) => {
+    if (args.length > 2) ctx.unsupported.push('ROUND() with truncate argument');
+    return `ROUND(${args.slice(0, 2).join(', ')})`;
+  },
+  CHARINDEX: ({ args }) => {
+    if (args.length < 3) return `POSITION(${args[0]} IN ${args[1]})`;
+    const position = `POSITION(${args[0]} IN SUBSTRING(${args[1]} FROM ${args[2]}))`;
+    return `CASE WHEN ${position} = 0 THEN 0 ELSE ${position} + ${args[2]} - 1 END`;
+  },
+  YEAR: ({ args }) => `CAST(EXTRACT(YEAR FROM ${args[0]}) AS INTEGER)`,
+  MONTH: ({ args }) => `CAST(EXTRACT(MONTH FROM ${args[0]}) AS INTEGER)`,
+  DAY: ({ args }) => `CAST(EXTRACT(DAY FROM ${args[0]}) AS INTEGER)`,
+  EOMONTH: ({ args }) => `CAST(date_trunc('month', ${args[0]}) + INTERVAL '1 month - 1 day' AS DATE)`,
+  DATEPART: ({ args, raw, ctx }) => {
+    const part = readDatePart(raw[0], ctx);
+    if (part === 'dow') return `CAST(EXTRACT(DOW FROM ${args[1]}) + 1 AS INTEGER)`;
+    return `CAST(FLOOR(EXTRACT(${(part || 'day').toUpperCase()} FROM ${args[1]})) AS INTEGER)`;
+  },
+  DATEADD: ({ args, raw, ctx }) => {
+    const part = readDatePart(raw[0], ctx);
+    if (part === 'quarter') return `(${args[2]} + (${args[1]}) * INTERVAL '3 months')`;
+    const unit = { doy: 'day', dow: 'day', milliseconds: 'millisecond' }[part] || part || 'day';
+    return `(${args[2]} + (${args[1]}) * INTERVAL '1 ${unit}')`;
+  },
+  DATEDIFF: ({ args, raw, ctx }) => {
+    const part = readDatePart(raw[0], ctx);
+    const [start, end] = [args[1], args[2]];
+    const yearDiff = `(EXTRACT(YEAR FROM ${end}) - EXTRACT(YEAR FROM ${start}))`;
+
+    switch (part) {
+      case 'year':
+        return `CAST(${yearDiff} AS INTEGER)`;
+      case 'quarter':
+        return `CAST(${yearDiff} * 4 + EXTRACT(QUARTER FROM ${end}) - EXTRACT(QUARTER FROM ${start}) AS INTEGER)`;
+      case 'month':
+        return `CAST(${yearDiff} * 12 + EXTRACT(MONTH FROM ${end}) - EXTRACT(MONTH FROM ${start}) AS INTEGER)`;
+      case 'day':
+      case 'doy':
+      case 'dow':
+        return `(CAST(${end} AS DATE) - CAST(${start} AS DATE))`;
+      case 'hour':
+      case 'minute':
+      case 'second': {
+        const seconds = { hour: 3600, minute: 60, second: 1 }[part];
+        return `CAST(EXTRACT(EPOCH FROM (date_trunc('${part}', ${end}) - date_trunc('${part}', ${start}))) / ${seconds} AS INTEGER)`;
+      }
+      default:
+        ctx.unsupported.push(`DATEDIFF() with datepart "${part}"`);
+        return `DATEDIFF(${args.join(', ')})`;
+    }
+  },
+  CAST: ({ raw, ctx }) => {
+    const nodes = raw[0] || [];
+    const asIndex = nodes.findIndex(n => n.type === 'word' && n.value.toUpperCase() === 'AS');
+    if (asIndex === -1) {
+      ctx.unsupported.push('CAST() without AS');
+      return `CAST(${translateNodes(nodes, ctx)})`;
+    }
+    const type = readType(nodes.slice(asIndex + 1));
+    return `CAST(${translateNodes(nodes.slice(0, asIndex), ctx).trim()} AS ${mapCastType(type, ctx)})`;
+  },
+  CONVERT: ({ args, raw, ctx }) => {
+    const type = readType(raw[0]);
+    const pgType = mapCastType(type, ctx);
+    const value = args[1];
+
+    if (args.length < 3) {
+      return `CAST(${value} AS ${pgType})`;
+    }
+
+    const style = args[2].replace(/[()\s]/g, '');
+    const format = DATE_STYLES[style];
+    if (!format) {
+      if (!['0', '100'].includes(style)) {
+        ctx.unsupported.push(`CONVERT() style ${style}`);
+      }
+      return `CAST(${value} AS ${pgType})`;
+    }
+
+    // to_char() and to_timestamp() depend on session settings
+    ctx.nonImmutable.push('CONVERT() with style');
+    if (CHARACTER_TYPES.has(type.name)) {
+      const formatted = `to_char(${value}, '${format}')`;
+      const length = parseInt(type.params[0]);
+      return length ? `LEFT(${formatted}, ${length})` : formatted;
+    }
+    return `CAST(to_timestamp(${value}, '${format}') AS ${pgType})`;
+  }
+};
+
+/**
+ * Checks whether the operand starting at index produces character data
+ * @returns {{stringy: boolean, end: number}} Result and index of the last node of the operand
+ */
+function inspectOperand(nodes, index, ctx) {
+  const node = nodes[index];
+
+  if (node.type === 'string') {
+    return { stringy: true, end: index };
+  }
+
+  if (node.type === 'group') {
+    return { stringy: node.children.some((child, i) => inspectOperand(node.children, i, ctx).stringy), end: index };
+  }
+
+  if (isName(node) || isKnownFunction(node)) {
+    const { parts, end } = readName(nodes, index);
+    const callIndex = nextSignificant(nodes, end);
+
+    if (callIndex !== -1 && nodes[callIndex].type === 'group') {
+      const functionName = parts[parts.length - 1].toUpperCase();
+      let stringy = STRING_FUNCTIONS.has(functionName);
+
+      if (functionName === 'CAST' || functionName === 'CONVERT') {
+        const children = nodes[callIndex].children;
+        const typeNodes = functionName === 'CONVERT'
+          ? (splitArguments(children)[0] || [])
+          : children.slice(children.findIndex(n => n.type === 'word' && n.value.toUpperCase() === 'AS') + 1);
+        const type = readType(typeNodes);
+        stringy = !!type && CHARACTER_TYPES.has(type.name);
+      }
+      return { stringy, end: callIndex };
+    }
+
+    return { stringy: ctx.stringColumns.has(parts[parts.length - 1].toLowerCase()), end };
+  }
+
+  return { stringy: false, end: index };
+}
+
+/**
+ * Finds + operators that concatenate strings, so they can become ||
+ * A chain of + operands is treated as concatenation when any operand is character data.
+ */
+function findConcatOperators(nodes, ctx) {
+  const concatOperators = new Set();
+  let chain = [];
+  let stringy = false;
+
+  const flush = () => {
+    if (stringy) chain.forEach(i => concatOperators.add(i));
+    chain = [];
+    stringy = false;
+  };
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (!isSignificant(node)) continue;
+
+    if (node.type === 'operator' && node.value === '+') {
+      chain.push(i);
+    } else if (node.type === 'operator' || node.type === 'punctuation' || (isKeyword(node) && !isKnownFunction(node))) {
+      flush();
+    } else {
+      const operand = inspectOperand(nodes, i, ctx);
+      stringy = stringy || operand.stringy;
+      i = operand.end;
+    }
+  }
+  flush();
+
+  return concatOperators;
+}
+
+/**
+ * Returns the bit literal (0 or 1) a node represents, or null
+ */
+function readBitLiteral(node) {
+  if (node.type === 'number' && (node.value === '0' || node.value === '1')) {
+    return node.value;
+  }
+  if (node.type === 'group') {
+    const significant = node.children.filter(isSignificant);
+    return significant.length === 1 ? readBitLiteral(significant[0]) : null;
+  }
+  return null;
+}
+
+/**
+ * Finds node replacements that need to look at neighbouring nodes:
+ * bit literals compared to BOOLEAN columns, LIKE patterns using [...] classes
+ * and LIKE on columns with a nondeterministic collation
+ */
+function findReplacements(nodes, ctx) {
+  const replacements = new Map();
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+
+    if (node.type === 'operator' && ['=', '<>', '!='].includes(node.value)) {
+      const left = previousSignificant(nodes, i);
+      const right = nextSignificant(nodes, i);
+      if (left === -1 || right === -1) continue;
+
+      for (const [nameIndex, literalIndex] of [[left, right], [right, left]]) {
+        const nameNode = nodes[nameIndex];
+        const literal = readBitLiteral(nodes[literalIndex]);
+        if (literal !== null && isName(nameNode) && ctx.booleanColumns.has(nameNode.name.toLowerCase())) {
+          replacements.set(literalIndex, literal === '1' ? 'TRUE' : 'FALSE');
+        }
+      }
+    }
+
+    if (node.type === 'word' && node.value.toUpperCase() === 'LIKE') {
+      const patternIndex = nextSignificant(nodes, i);
+      const pattern = patternIndex !== -1 ? nodes[patternIndex] : null;
+      let operator = node.value;
+      if (pattern && pattern.type === 'string' && pattern.value.includes('[')) {
+        // Without an ESCAPE clause backslash is an ordinary character in T-SQL but the escape
+        // in SIMILAR TO; the SIMILAR TO operators LIKE does not have are escaped with the
+        // escape character in use
+        const escapeIndex = nextSignificant(nodes, patternIndex);
+        const hasEscape = escapeIndex !== -1 && isWord(nodes[escapeIndex], 'ESCAPE');
+        const escapeLiteral = hasEscape ? nodes[nextSignificant(nodes, escapeIndex)] : null;
+        const escapeChar = escapeLiteral && escapeLiteral.type === 'string'
+          ? escapeLiteral.value.replace(/^N/i, '').slice(1, -1).replace(/''/g, "'")
+          : null;
+
+        let content = pattern.value.replace(/^N/i, '').slice(1, -1);
+        if (hasEscape && (escapeChar === null || escapeChar.length !== 1)) {
+          ctx.unsupported.push('LIKE pattern with [...] and an ESCAPE other than a single character');
+        } else if (escapeChar) {
+          const special = escapeChar === "'" ? "''" : escapeChar;
+          content = content.replace(/[|*+?{}()]/g, `${special}$&`);
+        } else {
+          content = content.replace(/\\/g, '\\\\').replace(/[|*+?{}()]/g, '\\$&');
+        }
+        operator = 'SIMILAR TO';
+        replacements.set(i, operator);
+        replacements.set(patternIndex, `'${content}'`);
+      }
+
+      // PostgreSQL does not pattern match under nondeterministic collations, so
+      // the column operand is compared under the default collation instead, with
+      // ILIKE keeping LIKE case-insensitive
+      let operatorIndex = i;
+      let operandIndex = previousSignificant(nodes, i);
+      if (operandIndex !== -1 && isWord(nodes[operandIndex], 'NOT')) {
+        operatorIndex = operandIndex;
+        operandIndex = previousSignificant(nodes, operandIndex);
+      }
+      const operand = operandIndex !== -1 ? nodes[operandIndex] : null;
+      if (operand && isName(operand) && ctx.nondeterministicColumns.has(operand.name.toLowerCase())) {
+        if (operator === node.value && ctx.caseInsensitiveColumns.has(operand.name.toLowerCase())) {
+          operator = 'ILIKE';
+          replacements.set(i, operator);
+        }
+        const text = operatorIndex === i ? operator : nodes[operatorIndex].value;
+        replacements.set(operatorIndex, `COLLATE "default" ${text}`);
+      }
+    }
+  }
+
+  return replacements;
+}
+
+/**
+ * Emits a multi-part name using the configured identifier mapping
+ */
+function translateName(parts, ctx) {
+  if (ctx.mapName) {
+    const mapped = ctx.mapName(parts);
+    if (mapped) return mapped;
+  }
+  return parts.map(part => escapeIdentifier(ctx.mapIdentifier(part))).join('.');
+}
+
+/**
+ * Translates a function call given its name and argument group
+ */
+function translateFunctionCall(parts, group, ctx) {
+  const functionName = parts[parts.length - 1].toUpperCase();
+  if (parts.length === 1 && NON_IMMUTABLE_FUNCTIONS.has(functionName)) {
+    ctx.nonImmutable.push(`${functionName}()`);
+  }
+  
+  const raw = splitArguments(group.children);
+  const args = raw.map((arg, i) => i === 0 && parts.length === 1 && RAW_FIRST_ARGUMENT.has(functionName)
+    ? arg.map(n => n.value).join('').trim()
+    : translateNodes(arg, ctx).trim());
+
+  if (parts.length === 1) {
+    if (FUNCTION_TRANSLATIONS[functionName]) {
+      return FUNCTION_TRANSLATIONS[functionName]({ args, raw, ctx });
+    }
+    if (PASSTHROUGH_FUNCTIONS.has(functionName)) {
+      return `${functionName}(${translateNodes(group.children, ctx).trim()})`;
+    }
+    ctx.unsupported.push(`function ${parts[0]}()`);
+    return `${parts[0]}(${args.join(', ')})`;
+  }
+
+  const mapped = ctx.mapFunction ? ctx.mapFunction(parts) : null;
+  if (mapped) {
+    return `${mapped}(${args.join(', ')})`;
+  }
+
+  ctx.unsupported.push(`user-defined function ${parts.join('.')}()`);
+  return `${translateName(parts, ctx)}(${args.join(', ')})`;
+}
+
+/**
+ * Reads a TOP clause starting at the TOP keyword
+ * @returns {{limit: string|null, end: number}} LIMIT value (null when the clause is dropped)
+ *   and index of the last node consumed
+ */
+function readTopClause(nodes, index, ctx) {
+  let end = nextSignificant(nodes, index);
+  if (end === -1) return { limit: null, end: index };
+
+  const valueNode = nodes[end];
+  const value = valueNode.type === 'group'
+    ? translateNodes(valueNode.children, ctx).trim()
+    : translateNodes([valueNode], ctx);
+  let limit = value;
+
+  let next = nextSignificant(nodes, end);
+  if (next !== -1 && isWord(nodes[next], 'PERCENT')) {
+    // TOP 100 PERCENT only exists to allow ORDER BY in MSSQL views
+    if (value !== '100') ctx.unsupported.push(`TOP ${value} PERCENT`);
+    limit = null;
+    end = next;
+    next = nextSignificant(nodes, end);
+  }
+
+  if (next !== -1 && isWord(nodes[next], 'WITH')) {
+    const ties = nextSignificant(nodes, next);
+    if (ties !== -1 && isWord(nodes[ties], 'TIES')) {
+      ctx.unsupported.push('TOP ... WITH TIES');
+      end = ties;
+    }
+  }
+
+  return { limit, end };
+}
+
+/**
+ * Checks whether a group holds table hints such as (NOLOCK) or (INDEX(ix), READPAST)
+ */
+function isTableHintGroup(node) {
+  if (!node || node.type !== 'group') return false;
+
+  const significant = node.children.filter(isSignificant);
+  const isHint = child => child.type === 'word' && TABLE_HINTS.has(child.value.toUpperCase());
+
+  return significant.some(isHint) && significant.every(child =>
+    isHint(child) || isPunctuation(child, ',') || child.type === 'group' ||
+    child.type === 'identifier' || child.type === 'number' || (child.type === 'operator' && child.value === '='));
+}
+
+/**
+ * Checks whether a word is a built-in function this translator knows how to call
+ */
+function isKnownFunction(node) {
+  const upper = node.value.toUpperCase();
+  return node.type === 'word' && (!!FUNCTION_TRANSLATIONS[upper] || PASSTHROUGH_FUNCTIONS.has(upper));
+}
+
+/**
+ * Translates a list of nodes at one nesting level
+ * Besides expressions this understands enough of SELECT statements to move
+ * TOP to LIMIT, drop table hints and rewrite table references in FROM/JOIN
+ * clauses and INSERT/UPDATE/DELETE targets.
+ */
+function translateNodes(nodes, ctx) {
+  const concatOperators = findConcatOperators(nodes, ctx);
+  const replacements = findReplacements(nodes, ctx);
+  let output = '';
+
+  // FROM clause state: 'table' expects a table reference, 'alias' an optional alias,
+  // 'done' means both were read; null outside of FROM/JOIN
+  let fromState = null;
+  let aliasAllowed = true;
+  let insertTarget = false;
+  let inSelectList = false;
+  let selectItemStart = false;
+  let pendingLimit = null;
+
+  const flushLimit = () => {
+    if (pendingLimit === null) return;
+    const trailing = output.match(/\s*$/)[0];
+    output = `${output.slice(0, output.length - trailing.length)} LIMIT ${pendingLimit}${trailing}`;
+    pendingLimit = null;
+  };
+
+  for (let i = 0; i < nodes.length; i++) {
+    const node = nodes[i];
+
+    if (replacements.has(i)) {
+      output += replacements.get(i);
+      selectItemStart = false;
+      continue;
+    }
+
+    if (!isSignificant(node)) {
+      output += node.value;
+      continue;
+    }
+
+    const itemStart = selectItemStart;
+    selectItemStart = false;
+
+    switch (node.type) {
+      case 'group':
+        if (fromState === 'alias' || fromState === 'done') {
+          if (isTableHintGroup(node)) break;
+        }
+        output += `(${translateNodes(node.children, ctx)})`;
+        if (fromState === 'table') fromState = 'alias';
+        break;
+
+      case 'string':
+        output += node.value.replace(/^N/i, '');
+        break;
+
+      case 'binary':
+        output += `'\\x${node.value.slice(2)}'::bytea`;
+        break;
+
+      case 'operator':
+        output += concatOperators.has(i) ? '||' : (OPERATOR_TRANSLATIONS[node.value] || node.value);
+        break;
+
+      case 'punctuation':
+        if (node.value === ',') {
+          if (fromState) fromState = 'table';
+          if (inSelectList) selectItemStart = true;
+        } else if (node.value === ';') {
+          flushLimit();
+          fromState = null;
+          inSelectList = false;
+        }
+        output += node.value;
+        break;
+
+      case 'variable': {
+        const mapped = ctx.mapVariable ? ctx.mapVariable(node.value) : null;
+        if (mapped) {
+          output += mapped;
+        } else {
+          ctx.unsupported.push(`variable ${node.value}`);
+          output += node.value;
+        }
+        break;
+      }
+
+      case 'word':
+      case 'identifier': {
+        const upper = node.value.toUpperCase();
+        const { parts, end } = readName(nodes, i);
+        const callIndex = nextSignificant(nodes, end);
+        const isCall = callIndex !== -1 && nodes[callIndex].type === 'group';
+
+        if (node.type === 'word' && upper === 'COLLATE') {
+          const collationIndex = nextSignificant(nodes, i);
+          ctx.unsupported.push(`COLLATE ${collationIndex !== -1 ? nodes[collationIndex].value : ''}`.trim());
+          i = collationIndex === -1 ? i : collationIndex;
+          break;
+        }
+
+        if (isCall && parts.length === 1 && isKnownFunction(node)) {
+          output += translateFunctionCall(parts, nodes[callIndex], ctx);
+          i = callIndex;
+          break;
+        }
+
+        if (isKeyword(node)) {
+          switch (upper) {
+            case 'SELECT':
+              inSelectList = true;
+              selectItemStart = true;
+              fromState = null;
+              break;
+            case 'DISTINCT':
+            case 'ALL':
+              selectItemStart = inSelectList;
+              break;
+            case 'TOP': {
+              const top = readTopClause(nodes, i, ctx);
+              pendingLimit = top.limit;
+              i = top.end;
+              if (nodes[i + 1] && nodes[i + 1].type === 'whitespace') i++;
+              selectItemStart = true;
+              continue;
+            }
+            case 'INTO':
+            case 'INSERT':
+              insertTarget = true;
+              inSelectList = false;
+              fromState = 'table';
+              break;
+            case 'FROM':
+            case 'JOIN':
+            case 'UPDATE':
+            case 'DELETE':
+              inSelectList = false;
+              fromState = 'table';
+              break;
+            case 'TRUNCATE':
+              fromState = 'table';
+              aliasAllowed = false;
+              break;
+            case 'APPLY':
+              fromState = 'table';
+              if (/CROSS\s*$/i.test(output)) {
+                output += 'JOIN LATERAL';
+                continue;
+              }
+              ctx.unsupported.push('OUTER APPLY');
+              break;
+            case 'WITH':
+              if (isTableHintGroup(nodes[nextSignificant(nodes, i)])) {
+                i = nextSignificant(nodes, i);
+                continue;
+              }
+              break;
+            case 'UNION':
+            case 'EXCEPT':
+            case 'INTERSECT':
+              flushLimit();
+              fromState = null;
+              inSelectList = false;
+              break;
+            case 'WHERE':
+            case 'GROUP':
+            case 'ORDER':
+            case 'HAVING':
+            case 'ON':
+            case 'OPTION':
+            case 'FOR':
+            case 'SET':
+            case 'VALUES':
+              fromState = null;
+              inSelectList = false;
+              break;
+          }
+          output += upper;
+          break;
+        }
+
+        // A name followed by a group is a function call, except for an INSERT target and its column list
+        const isInsertTarget = fromState === 'table' && insertTarget;
+        if (isCall && fromState !== 'alias' && !isInsertTarget && (node.type === 'word' || parts.length > 1)) {
+          output += translateFunctionCall(parts, nodes[callIndex], ctx);
+          i = callIndex;
+          if (fromState === 'table') fromState = 'alias';
+          break;
+        }
+
+        if (itemStart && callIndex !== -1 && nodes[callIndex].type === 'operator' && nodes[callIndex].value === '=') {
+          ctx.unsupported.push(`column alias "${parts.join('.')} = ..."`);
+        }
+
+        if (node.type === 'word' && parts.length === 1 && NILADIC_FUNCTIONS[upper]) {
+          ctx.nonImmutable.push(upper);
+          output += NILADIC_FUNCTIONS[upper];
+          break;
+        }
+
+        i = end;
+
+        if (fromState === 'table' && ctx.mapTable) {
+          const mapped = ctx.mapTable(parts);
+          output += mapped || translateName(parts, ctx);
+          fromState = 'alias';
+          insertTarget = false;
+
+          // Keep the source name usable as a qualifier (Orders.OrderID) after renaming
+          const next = callIndex === -1 ? null : nodes[callIndex];
+          const hasAlias = next && (isWord(next, 'AS') || isName(next));
+          if (mapped && !hasAlias && aliasAllowed) {
+            output += ` AS ${escapeIdentifier(ctx.mapIdentifier(parts[parts.length - 1]))}`;
+          }
+          break;
+        }
+
+        if (fromState === 'alias') fromState = 'done';
+
+        // schema.table.column qualifiers refer to the table through its alias
+        const nameParts = ctx.mapTable && parts.length >= 3 ? parts.slice(-2) : parts;
+        ctx.references.push(nameParts.join('.'));
+        output += translateName(nameParts, ctx);
+        break;
+      }
+
+      default:
+        output += node.value;
+    }
+  }
+
+  flushLimit();
+  return output;
+}
+
+/**
+ * Builds a translation context from caller options
+ */
+function createContext(options) {
+  const lowerSet = values => new Set([...(values || [])].map(v => v.toLowerCase()));
+
+  return {
+    booleanColumns: lowerSet(options.booleanColumns),
+    stringColumns: lowerSet(options.stringColumns),
+    nondeterministicColumns: lowerSet(options.nondeterministicColumns),
+    caseInsensitiveColumns: lowerSet(options.caseInsensitiveColumns),
+    mapIdentifier: options.mapIdentifier || (name => name),
+    mapName: options.mapName || null,
+    mapTable: options.mapTable || null,
+    mapFunction: options.mapFunction || null,
+    mapVariable: options.mapVariable || null,
+    unsupported: [],
+    nonImmutable: [],
+    references: []
+  };
+}
+
+/**
+ * Translates a T-SQL expression into PostgreSQL syntax
+ * @param {string} expression - The T-SQL expression text
+ * @param {Object} options - Translation options
+ * @param {Iterable<string>} [options.booleanColumns] - Columns migrated from BIT to BOOLEAN
+ * @param {Iterable<string>} [options.stringColumns] - Character columns, used to detect + concatenation
+ * @param {Iterable<string>} [options.nondeterministicColumns] - Columns with a nondeterministic
+ *   collation; LIKE compares them under the default collation
+ * @param {Iterable<string>} [options.caseInsensitiveColumns] - Nondeterministic columns ignoring
+ *   case, compared with ILIKE instead of LIKE
+ * @param {Function} [options.mapIdentifier] - Maps a source identifier to its target name
+ * @param {Function} [options.mapVariable] - Maps a @variable to its target name, or returns null
+ * @param {Function} [options.mapFunction] - Maps name parts of a user-defined function call to
+ *   a qualified target name, or returns null when the function is unknown
+ * @returns {{sql: string, complete: boolean, unsupported: string[], immutable: boolean,
+ *   references: string[]}} Translated SQL, the constructs that could not be translated,
+ *   whether the result is usable in a generated column and the names it references
+ */
+function translateExpression(expression, options = {}) {
+  const ctx = createContext(options);
+  const sql = translateNodes(buildTree(markContextualKeywords(tokenize(expression))), ctx).trim();
+
+  return {
+    sql,
+    complete: ctx.unsupported.length === 0,
+    unsupported: [...new Set(ctx.unsupported)],
+    immutable: ctx.nonImmutable.length === 0,
+    references: [...new Set(ctx.references)]
+  };
+}
+
+/**
+ * Translates a T-SQL SELECT statement (such as a view body) into PostgreSQL syntax
+ * @param {string} query - The T-SQL query text
+ * @param {Object} options - Same options as translateExpression, plus:
+ * @param {Function} [options.mapTable] - Maps source name parts of a table reference to a
+ *   qualified target name, or returns null to keep the reference as written
+ * @returns {Object} Same result shape as translateExpression
+ */
+function translateQuery(query, options = {}) {
+  const result = translateExpression(query, options);
+  result.sql = result.sql.replace(/;\s*$/, '');
+  return result;
+}
+
+/**
+ * Maps a T-SQL type reference such as "nvarchar(50)" or "decimal(10, 2)" to PostgreSQL
+ * @param {string} typeText - The type as written in T-SQL
+ * @returns {{type: string, complete: boolean}} PostgreSQL type and whether it was recognized
+ */
+function translateTypeReference(typeText) {
+  const ctx = createContext({});
+  const type = mapCastType(readType(buildTree(tokenize(typeText))), ctx);
+  return { type, complete: ctx.unsupported.length === 0 };
+}
+
+/**
+ * Tokenizes T-SQL text into a tree of nodes with parenthesized groups nested
+ * @param {string} text - The T-SQL text
+ * @returns {Array<Object>} Top-level nodes
+ */
+function parse(text) {
+  return buildTree(markContextualKeywords(tokenize(text)));
+}
+
+/**
+ * Turns nodes produced by parse() back into T-SQL text
+ * @param {Array<Object>} nodes - Nodes from parse()
+ * @returns {string} The original text of those nodes
+ */
+function nodesToText(nodes) {
+  return nodes.map(node => node.type === 'group' ? `(${nodesToText(node.children)})` : node.value).join('');
+}
+
+/**
+ * Splits an MSSQL CREATE VIEW definition into its column list and SELECT body
+ * @param {string} definition - Text from sys.sql_modules.definition
+ * @returns {{columns: string[]|null, body: string}|null} Parsed parts, or null if not a view
+ */
+function parseViewDefinition(definition) {
+  const tokens = tokenize(definition);
+  const viewIndex = tokens.findIndex(t => isWord(t, 'VIEW'));
+  if (viewIndex === -1) return null;
+
+  let columns = null;
+  let depth = 0;
+  let columnListStart = -1;
+
+  for (let i = viewIndex + 1; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (isPunctuation(token, '(')) {
+      if (depth === 0 && columns === null) columnListStart = i;
+      depth++;
+    } else if (isPunctuation(token, ')')) {
+      depth--;
+      if (depth === 0 && columnListStart !== -1 && columns === null) {
+        columns = tokens.slice(columnListStart + 1, i).filter(t => t.type === 'identifier' || t.type === 'word').map(t => t.name);
+      }
+    } else if (depth === 0 && isWord(token, 'AS')) {
+      return {
+        columns,
+        body: tokens.slice(i + 1).map(t => t.value).join('').trim()
+      };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  tokenize,
+  parse,
+  nodesToText,
+  translateExpression,
+  translateQuery,
+  translateTypeReference,
+  parseViewDefinition
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Persistent delta sync state
+ * Records per table the change source (change_tracking or rowversion) and
+ * the version up to which changes were applied, so the sync command can run repeatedly.
+ */
+class SyncState {
+  constructor(filePath, state = null) {
+    this.filePath = filePath;
+    this.state = state || { updatedAt: null, tables: {} };
+  }
+
+  /**
+   * Load the sync state, or start an empty one when the file does not exist yet
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new SyncState(filePath);
+    }
+    return new SyncState(filePath, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a truncated state file
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * @returns {{method: string, version: string, syncedAt: string}|null}
+   */
+  getTable(tableKey) {
+    return this.state.tables[tableKey] || null;
+  }
+
+  /**
+   * Record the version a table is synced up to and persist it
+   * @param {string} method - change_tracking or rowversion
+   * @param {string} version - Version as a decimal string (bigint)
+   */
+  setTable(tableKey, method, version) {
+    this.state.tables[tableKey] = { method, version, syncedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  getFilePath() {
+    return this.filePath;
+  }
+}
+
+module.exports = SyncState;
@@ -45,7 +45,7 @@ const TYPE_MAPPINGS = {
   // Other Data Types
   'uniqueidentifier': 'UUID',
   'xml': 'XML',
-  'sql_variant': 'TEXT',
+  'sql_variant': 'JSONB',
   'hierarchyid': 'TEXT',
   'geometry': 'TEXT',
   'geography': 'TEXT',
@@ -155,6 +155,16 @@ function mapDataType(mssqlType, maxLength = null, precision = null, scale = null
   return 'TEXT';
 }
 
+/**
+ * Checks whether an MSSQL type has an explicit mapping
+ * (mapDataType falls back to TEXT for anything else)
+ * @param {string} mssqlType - The MSSQL data type name
+ * @returns {boolean} True when the type is known
+ */
+function isKnownType(mssqlType) {
+  return Object.prototype.hasOwnProperty.call(TYPE_MAPPINGS, mssqlType.toLowerCase().trim());
+}
+
 /**
  * Escapes a PostgreSQL identifier (table name, column name, etc.)
  * @param {string} identifier - The identifier to escape
@@ -169,14 +179,26 @@ function escapeIdentifier(identifier) {
  * Converts MSSQL default value to PostgreSQL equivalent
  * @param {string} defaultValue - The MSSQL default value
  * @param {string} dataType - The data type
+ * @param {Object} [options]
+ * @param {Function} [options.mapSequence] - Maps sequence name parts to the qualified PostgreSQL name
  * @returns {string|null} PostgreSQL default value or null
  */
-function convertDefaultValue(defaultValue, dataType) {
+function convertDefaultValue(defaultValue, dataType, options = {}) {
   if (!defaultValue) return null;
   
   // Remove outer parentheses that MSSQL adds
   let value = defaultValue.replace(/^\(+|\)+$/g, '');
   
+  // NEXT VALUE FOR [schema].[sequence] draws from a sequence object
+  const sequenceMatch = value.match(/^next\s+value\s+for\s+(.+)$/i);
+  if (sequenceMatch) {
+    const parts = [...sequenceMatch[1].matchAll(/\[((?:[^\]]|\]\])+)\]|([^.\s[\]]+)/g)]
+      .map(match => match[1] !== undefined ? match[1].replace(/\]\]/g, ']') : match[2]);
+    const sequenceName = (options.mapSequence && options.mapSequence(parts)) ||
+      parts.map(part => escapeIdentifier(part)).join('.');
+    return `nextval('${sequenceName.replace(/'/g, "''")}'::regclass)`;
+  }
+  
   // Handle common MSSQL functions
   const functionMappings = {
     'getdate()': 'CURRENT_TIMESTAMP',
@@ -254,6 +276,7 @@ function generateColumnDefinition(column) {
 
 module.exports = {
   mapDataType,
+  isKnownType,
   escapeIdentifier,
   convertDefaultValue,
   generateColumnDefinition,
@@ -0,0 +1,68 @@
+/**
+ * MSSQL sql_variant to JSONB
+ * Each value is read as "<base type>:<text>" and stored as a JSONB object that
+ * keeps its base type: {"type": "decimal", "value": 12.50}. Numbers are written
+ * as JSON numbers from their exact text, so JSONB keeps their full precision.
+ */
+
+const NUMERIC_BASE_TYPES = new Set([
+  'tinyint', 'smallint', 'int', 'bigint', 'decimal', 'numeric', 'money', 'smallmoney', 'float', 'real'
+]);
+
+const TIMESTAMP_BASE_TYPES = new Set(['datetime', 'smalldatetime', 'datetime2', 'datetimeoffset']);
+
+/**
+ * MSSQL expression reading a sql_variant column as "<base type>:<text>"
+ * The text keeps the full value: float in round-trip style, money with four
+ * decimals, binary as hex and datetime with milliseconds.
+ * @param {string} column - Column reference, e.g. [Value] or t.[Value]
+ */
+function selectVariantValue(column) {
+  const baseType = `CAST(SQL_VARIANT_PROPERTY(${column}, 'BaseType') AS NVARCHAR(128))`;
+  return `${baseType} + N':' + CASE ${baseType}
+      WHEN 'datetime' THEN CONVERT(NVARCHAR(30), CAST(${column} AS DATETIME2(3)), 121)
+      WHEN 'smalldatetime' THEN CONVERT(NVARCHAR(30), CAST(${column} AS DATETIME2(0)), 121)
+      WHEN 'float' THEN CONVERT(NVARCHAR(30), CAST(${column} AS FLOAT), 3)
+      WHEN 'real' THEN CONVERT(NVARCHAR(30), CAST(${column} AS REAL), 3)
+      WHEN 'money' THEN CONVERT(NVARCHAR(30), CAST(${column} AS MONEY), 2)
+      WHEN 'smallmoney' THEN CONVERT(NVARCHAR(30), CAST(${column} AS MONEY), 2)
+      WHEN 'binary' THEN CONVERT(NVARCHAR(MAX), CAST(${column} AS VARBINARY(8000)), 2)
+      WHEN 'varbinary' THEN CONVERT(NVARCHAR(MAX), CAST(${column} AS VARBINARY(8000)), 2)
+      ELSE CAST(${column} AS NVARCHAR(MAX))
+    END`;
+}
+
+/**
+ * Convert a value read with selectVariantValue into JSON text for a JSONB column
+ * @param {string} text - "<base type>:<text>"
+ * @returns {string} e.g. {"type":"datetime2","value":"2024-05-01T10:30:00.1234567"}
+ */
+function formatVariantJson(text) {
+  const separator = text.indexOf(':');
+  const type = text.slice(0, separator);
+  const raw = text.slice(separator + 1);
+
+  let value;
+  if (NUMERIC_BASE_TYPES.has(type)) {
+    // MSSQL writes decimals below 1 without the leading zero (.50)
+    value = raw.trim().replace(/^(-?)\./, '$10.');
+  } else if (type === 'bit') {
+    value = raw === '1' ? 'true' : 'false';
+  } else if (type === 'binary' || type === 'varbinary') {
+    value = JSON.stringify(`\\x${raw.toLowerCase()}`);
+  } else if (TIMESTAMP_BASE_TYPES.has(type)) {
+    // ISO 8601: 2024-05-01 10:30:00.123 +02:00 -> 2024-05-01T10:30:00.123+02:00
+    value = JSON.stringify(raw.replace(' ', 'T').replace(' ', ''));
+  } else if (type === 'uniqueidentifier') {
+    value = JSON.stringify(raw.toLowerCase());
+  } else {
+    value = JSON.stringify(raw);
+  }
+
+  return `{"type":${JSON.stringify(type)},"value":${value}}`;
+}
+
+module.exports = {
+  selectVariantValue,
+  formatVariantJson
+};